@@ -0,0 +1,15 @@
+export const config = {
+  /**
+   * Custom warning handler. Receives the warning message and its details
+   * (`path`, `name`, `expected`, `value`) in place of `console.warn`
+   */
+  onWarn: null,
+  /**
+   * Throw a `VueTypesValidationError` instead of warning on validation failures
+   */
+  strict: false,
+  /**
+   * Reject `null` values for every type not flagged as `nullable`
+   */
+  rejectNull: false,
+}
@@ -4,13 +4,211 @@ import {
   getType,
   isFunction,
   validateType,
+  checkType,
+  withPath,
   isInteger,
   isArray,
+  withRefinements,
   warn,
+  bindValidator,
+  runValidator,
+  VueTypesValidationError,
   has,
   stubTrue,
+  clone,
+  getDefault,
+  applyDefaults,
+  getFieldsDefault,
+  stripUnknown,
+  isDeepEqual,
+  formatValue,
+  isValidDate,
+  isISODateString,
+  isVNode,
+  isComponent,
+  isRequiredType,
 } from './utils'
 import { setDefaults } from './sensibles'
+import {
+  stringRefinements,
+  numberRefinements,
+  dateRefinements,
+  funcRefinements,
+} from './refinements'
+import { config } from './config'
+
+/**
+ * Checks a shape property explicitly set to `undefined` in exact mode.
+ * Just optional properties flagged as `optional` or `nullable` are allowed
+ *
+ * @param {string} key - Property name
+ * @param {object|*} type - Property type
+ * @returns {boolean}
+ */
+function checkExactUndefined(key, type) {
+  const expected = type._vueTypes_name || getType(type)
+  if (isRequiredType(type)) {
+    warn(`shape - required property "${key}" is undefined`, {
+      name: 'shape',
+      expected,
+      value: undefined,
+    })
+    return false
+  }
+  if (type._vueTypes_optional === true || type._vueTypes_nullable === true) {
+    return true
+  }
+  warn(`shape - property "${key}" should not be undefined`, {
+    name: 'shape',
+    expected,
+    value: undefined,
+  })
+  return false
+}
+
+/**
+ * Returns the constructors of a list of values, to be used as prop `type`
+ *
+ * @param {Array} arr - List of values
+ * @returns {Array|null}
+ */
+function getConstructors(arr) {
+  const constructors = arr.reduce((ret, v) => {
+    if (v !== null && v !== undefined) {
+      ret.indexOf(v.constructor) === -1 && ret.push(v.constructor)
+    }
+    return ret
+  }, [])
+  return constructors.length > 0 ? constructors : null
+}
+
+/**
+ * Returns the function used by `oneOf` to compare an option with a value
+ *
+ * @param {string|function} [compare] - `'deep'`, `'caseInsensitive'` or a custom function
+ * @returns {function}
+ */
+function getComparator(compare) {
+  if (compare === undefined) {
+    return (option, value) => option === value
+  }
+  if (compare === 'deep') {
+    return isDeepEqual
+  }
+  if (compare === 'caseInsensitive') {
+    return (option, value) =>
+      typeof option === 'string' && typeof value === 'string'
+        ? option.toLowerCase() === value.toLowerCase()
+        : option === value
+  }
+  if (isFunction(compare)) {
+    return compare
+  }
+  throw new TypeError(
+    `[VueTypes error]: Invalid compare option "${compare}". Use "deep", "caseInsensitive" or a function`,
+  )
+}
+
+/**
+ * Validates a list of key-value entries against `keyType` (if any)
+ * and `valueType`. Each entry is validated at its own path
+ *
+ * @param {string} name - Type name
+ * @param {object[]} entries - List of `{ path, key, value }` objects
+ * @param {object|*} keyType - Keys type, `null` to skip keys validation
+ * @param {object|*} valueType - Values type
+ * @returns {boolean}
+ */
+function validateEntries(name, entries, keyType, valueType) {
+  return entries.reduce((valid, { path, key, value }) => {
+    const validKey = !keyType || validateType(keyType, key, true)
+    if (!validKey) {
+      withPath(path, () =>
+        warn(`${name} - key "${key}" is not valid`, {
+          name,
+          expected: keyType._vueTypes_name || getType(keyType),
+          value: key,
+        }),
+      )
+    }
+    return (
+      withPath(path, () => validateType(valueType, value)) && validKey && valid
+    )
+  }, true)
+}
+
+/**
+ * Applies the modifiers of the shapes merged by `allOf` to the merged shape:
+ * validators (ie: added with `.refine()`), default values, `required` and `nullable` flags
+ *
+ * @param {object[]} shapes - Merged shapes
+ * @param {object} merged - Shape with the fields of every member
+ * @returns {object}
+ */
+function mergeShapeModifiers(shapes, merged) {
+  let type = clone(merged)
+  const base = type.validator.__original
+  type.validator = bindValidator(type, function(value) {
+    if (!runValidator(this, base, value)) {
+      return false
+    }
+    // non-loose members would reject the keys of the others
+    return shapes.reduce((valid, shape) => {
+      const { _vueTypes_fields: fields } = shape
+      const ownValue = shape._vueTypes_isLoose
+        ? value
+        : Object.keys(fields).reduce((ret, key) => {
+            if (has(value, key)) ret[key] = value[key]
+            return ret
+          }, {})
+      return validateType(shape, ownValue) && valid
+    }, true)
+  })
+
+  const defaults = shapes.filter((shape) => has(shape, 'default'))
+  if (defaults.length > 0) {
+    type = type.def(() =>
+      defaults.reduce(
+        (ret, shape) => Object.assign(ret, getDefault(shape)),
+        {},
+      ),
+    )
+  }
+  if (shapes.some((shape) => shape.required === true)) {
+    type = type.isRequired
+  }
+  return shapes.every((shape) => shape._vueTypes_nullable === true)
+    ? type.nullable
+    : type
+}
+
+/**
+ * Creates an object type validating every key against `keyType` (if any)
+ * and every value against `valueType`
+ *
+ * @param {string} name - Type name
+ * @param {object|*} keyType - Keys type, `null` to skip keys validation
+ * @param {object|*} valueType - Values type
+ * @returns {object}
+ */
+function createRecord(name, keyType, valueType) {
+  const recordType = toType(name, {
+    type: Object,
+    validator(obj) {
+      const entries = Object.keys(obj).map((key) => ({
+        path: key,
+        key,
+        value: obj[key],
+      }))
+      return validateEntries(name, entries, keyType, valueType)
+    },
+  })
+
+  return Object.defineProperty(recordType, '_vueTypes_items', {
+    enumerable: false,
+    value: valueType,
+  })
+}
 
 const VueTypes = {
   get any() {
@@ -24,12 +222,15 @@ const VueTypes = {
   },
 
   get func() {
-    return toType(
-      'function',
-      {
-        type: Function,
-      },
-      true,
+    return withRefinements(
+      toType(
+        'function',
+        {
+          type: Function,
+        },
+        true,
+      ),
+      funcRefinements,
     ).def(VueTypes.sensibleDefaults.func)
   },
 
@@ -44,22 +245,28 @@ const VueTypes = {
   },
 
   get string() {
-    return toType(
-      'string',
-      {
-        type: String,
-      },
-      true,
+    return withRefinements(
+      toType(
+        'string',
+        {
+          type: String,
+        },
+        true,
+      ),
+      stringRefinements,
     ).def(VueTypes.sensibleDefaults.string)
   },
 
   get number() {
-    return toType(
-      'number',
-      {
-        type: Number,
-      },
-      true,
+    return withRefinements(
+      toType(
+        'number',
+        {
+          type: Number,
+        },
+        true,
+      ),
+      numberRefinements,
     ).def(VueTypes.sensibleDefaults.number)
   },
 
@@ -84,12 +291,117 @@ const VueTypes = {
   },
 
   get integer() {
-    return toType('integer', {
-      type: Number,
+    return withRefinements(
+      toType('integer', {
+        type: Number,
+        validator(value) {
+          const valid = isInteger(value)
+          if (!valid) {
+            warn(`integer - value "${value}" should be an integer`, {
+              name: 'integer',
+              expected: 'integer',
+              value,
+            })
+          }
+          return valid
+        },
+      }),
+      numberRefinements,
+    ).def(VueTypes.sensibleDefaults.integer)
+  },
+
+  get date() {
+    return withRefinements(
+      toType('date', {
+        type: Date,
+        validator(value) {
+          const valid = isValidDate(value)
+          if (!valid) {
+            warn(`date - value "${value}" should be a valid date`, {
+              name: 'date',
+              expected: 'date',
+              value,
+            })
+          }
+          return valid
+        },
+      }),
+      dateRefinements,
+    ).def(VueTypes.sensibleDefaults.date)
+  },
+
+  get isoDateString() {
+    return toType('isoDateString', {
+      type: String,
+      validator(value) {
+        const valid = isISODateString(value)
+        if (!valid) {
+          warn(
+            `isoDateString - value "${value}" should be an ISO 8601 date string`,
+            { name: 'isoDateString', expected: 'isoDateString', value },
+          )
+        }
+        return valid
+      },
+    }).def(VueTypes.sensibleDefaults.isoDateString)
+  },
+
+  get component() {
+    return toType('component', {
+      type: [Object, Function],
       validator(value) {
-        return isInteger(value)
+        const valid = isComponent(value)
+        if (!valid) {
+          warn(
+            'component - value should be a component options object, constructor or async factory',
+            { name: 'component', expected: 'component', value },
+          )
+        }
+        return valid
       },
-    }).def(VueTypes.sensibleDefaults.integer)
+    })
+  },
+
+  get vnode() {
+    return toType('vnode', {
+      // VNodes are not plain objects, so skip the native `Object` check
+      type: null,
+      validator(value) {
+        const valid = isArray(value) ? value.every(isVNode) : isVNode(value)
+        if (!valid) {
+          warn('vnode - value should be a VNode or an array of VNodes', {
+            name: 'vnode',
+            expected: 'vnode',
+            value,
+          })
+        }
+        return valid
+      },
+    })
+  },
+
+  get slot() {
+    // slot functions can't be called to check their return value
+    return toType('slot', { type: Function })
+  },
+
+  get listener() {
+    return toType('listener', {
+      type: [Function, Array],
+      validator(value) {
+        const isListener = (fn) => typeof fn === 'function'
+        const valid = isArray(value)
+          ? value.every(isListener)
+          : isListener(value)
+        if (!valid) {
+          warn(
+            'listener - value should be a function or an array of functions',
+            { name: 'listener', expected: 'listener', value },
+          )
+        }
+        return valid
+      },
+    })
   },
 
   get symbol() {
@@ -156,7 +468,7 @@ const VueTypes = {
         value(...args) {
           const ret = toType(name, Object.assign({}, opts), validate)
           if (validator) {
-            ret.validator = validator.bind(ret, ...args)
+            ret.validator = bindValidator(ret, validator.bind(ret, ...args))
           }
           return ret
         },
@@ -179,36 +491,141 @@ const VueTypes = {
     return toType(validatorFn.name || '<<anonymous function>>', {
       validator(value) {
         const valid = validatorFn(value)
-        if (!valid) warn(`${this._vueTypes_name} - ${warnMsg}`)
+        if (!valid) {
+          warn(`${this._vueTypes_name} - ${warnMsg}`, {
+            name: this._vueTypes_name,
+            expected: this._vueTypes_name,
+            value,
+          })
+        }
         return valid
       },
     })
   },
 
-  oneOf(arr) {
+  oneOf(arr, options = {}) {
     if (!isArray(arr)) {
       throw new TypeError(
         '[VueTypes error]: You must provide an array as argument',
       )
     }
-    const msg = `oneOf - value should be one of "${arr.join('", "')}"`
-    const allowedTypes = arr.reduce((ret, v) => {
-      if (v !== null && v !== undefined) {
-        ret.indexOf(v.constructor) === -1 && ret.push(v.constructor)
-      }
-      return ret
-    }, [])
+    const compare = getComparator(options.compare)
+    const expected = arr.map(formatValue).join(', ')
+    const msg = `oneOf - value should be one of ${expected}`
 
     return toType('oneOf', {
-      type: allowedTypes.length > 0 ? allowedTypes : null,
+      // the native check still uses the options types
+      type: getConstructors(arr),
       validator(value) {
-        const valid = arr.indexOf(value) !== -1
-        if (!valid) warn(msg)
+        const valid = arr.some((option) => compare(option, value))
+        if (!valid) warn(msg, { name: 'oneOf', expected, value })
+        return valid
+      },
+    })
+  },
+
+  literal(value) {
+    const expected = formatValue(value)
+
+    return toType('literal', {
+      type: getConstructors([value]),
+      validator(v) {
+        const valid = v === value
+        if (!valid) {
+          warn(`literal - value should be ${expected}`, {
+            name: 'literal',
+            expected,
+            value: v,
+          })
+        }
         return valid
       },
     })
   },
 
+  enumOf(obj) {
+    if (!isPlainObject(obj)) {
+      throw new TypeError(
+        '[VueTypes error]: You must provide an object as argument',
+      )
+    }
+    // skip the reverse mappings TypeScript adds to numeric enums (ie: `{ 0: 'Up', Up: 0 }`)
+    const keys = Object.keys(obj).filter((key) => obj[obj[key]] !== Number(key))
+    const values = keys.map((key) => obj[key])
+
+    const type = toType('enumOf', {
+      type: getConstructors(values),
+      validator(value) {
+        const allowed = this._vueTypes_useKeys === true ? keys : values
+        const valid = allowed.indexOf(value) !== -1
+        if (!valid) {
+          const expected = allowed.map(formatValue).join(', ')
+          warn(`enumOf - value should be one of ${expected}`, {
+            name: 'enumOf',
+            expected,
+            value,
+          })
+        }
+        return valid
+      },
+    })
+
+    Object.defineProperty(type, '_vueTypes_useKeys', {
+      enumerable: false,
+      writable: true,
+      value: false,
+    })
+
+    return Object.defineProperty(type, 'keys', {
+      get() {
+        const keysType = clone(this)
+        keysType._vueTypes_useKeys = true
+        keysType.type = String
+        return keysType
+      },
+      enumerable: false,
+    })
+  },
+
+  lazy(factory) {
+    if (!isFunction(factory)) {
+      throw new TypeError(
+        '[VueTypes error]: You must provide a function as argument',
+      )
+    }
+
+    let resolved
+    const resolve = () => {
+      if (resolved === undefined) {
+        resolved = factory()
+      }
+      return resolved
+    }
+    // values currently being validated. Used to detect circular references
+    const stack = []
+
+    const type = toType('lazy', {
+      validator(value) {
+        if (value !== null && typeof value === 'object') {
+          // the value is already being validated up in the stack
+          if (stack.indexOf(value) !== -1) return true
+        }
+        stack.push(value)
+        try {
+          return validateType(resolve(), value)
+        } finally {
+          stack.pop()
+        }
+      },
+    })
+
+    // exposes the wrapped type to shapes and utilities
+    return Object.defineProperty(type, '_vueTypes_resolve', {
+      enumerable: false,
+      value: resolve,
+    })
+  },
+
   instanceOf(instanceConstructor) {
     return toType('instanceOf', {
       type: instanceConstructor,
@@ -263,48 +680,199 @@ const VueTypes = {
       .join('", "')
 
     return this.custom(function oneOfType(value) {
-      const valid = arr.some((type) => {
+      return arr.some((type) => {
         if (type._vueTypes_name === 'oneOf') {
           return type.type ? validateType(type.type, value, true) : true
         }
         return validateType(type, value, true)
       })
-      if (!valid) warn(`oneOfType - value type should be one of "${typesStr}"`)
-      return valid
+    }, `value type should be one of "${typesStr}"`)
+  },
+
+  discriminated(key, types) {
+    if (typeof key !== 'string') {
+      throw new TypeError(
+        '[VueTypes error]: You must provide a string as first argument',
+      )
+    }
+    if (!isPlainObject(types)) {
+      throw new TypeError(
+        '[VueTypes error]: You must provide an object as second argument',
+      )
+    }
+    const tags = Object.keys(types)
+    const expected = `"${tags.join('", "')}"`
+
+    return toType('discriminated', {
+      type: Object,
+      validator(value) {
+        const tag = value[key]
+        if (!has(types, tag)) {
+          withPath(key, () =>
+            warn(
+              `discriminated - value "${tag}" should be one of ${expected}`,
+              { name: 'discriminated', expected, value: tag },
+            ),
+          )
+          return false
+        }
+        // just the matching branch gets validated and reports errors
+        return validateType(types[tag], value)
+      },
+    })
+  },
+
+  allOf(arr) {
+    if (!isArray(arr)) {
+      throw new TypeError(
+        '[VueTypes error]: You must provide an array as argument',
+      )
+    }
+
+    if (arr.length > 0 && arr.every((type) => type._vueTypes_fields)) {
+      // merge shapes in order to check for the union of their keys.
+      // Keys defined by more than one shape must satisfy every definition
+      const fields = arr.reduce((ret, type) => {
+        const { _vueTypes_fields: obj } = type
+        Object.keys(obj).forEach((key) => {
+          if (!has(ret, key)) {
+            ret[key] = obj[key]
+            return
+          }
+          const merged = this.allOf([ret[key], obj[key]])
+          ret[key] =
+            ret[key].required === true || obj[key].required === true
+              ? merged.isRequired
+              : merged
+        })
+        return ret
+      }, {})
+      const shape = this.shape(fields)
+      const looseShape = arr.every((type) => type._vueTypes_isLoose === true)
+        ? shape.loose
+        : shape
+      return mergeShapeModifiers(
+        arr,
+        arr.some((type) => type._vueTypes_isExact === true)
+          ? looseShape.exact
+          : looseShape,
+      )
+    }
+
+    // use the members' native type when they all share the same one
+    const nativeTypes = arr.reduce((ret, type) => {
+      const nativeType = isPlainObject(type) ? type.type : type
+      if (
+        nativeType &&
+        !isArray(nativeType) &&
+        ret.indexOf(nativeType) === -1
+      ) {
+        ret.push(nativeType)
+      }
+      return ret
+    }, [])
+
+    return toType('allOf', {
+      type: nativeTypes.length === 1 ? nativeTypes[0] : null,
+      validator(value) {
+        // check every member in order to report all the errors
+        return arr.reduce(
+          (valid, type) => validateType(type, value) && valid,
+          true,
+        )
+      },
     })
   },
 
   arrayOf(type) {
-    return toType('arrayOf', {
+    const arrayOfType = toType('arrayOf', {
       type: Array,
       validator(values) {
-        const valid = values.every((value) => validateType(type, value))
-        if (!valid)
-          warn(`arrayOf - value must be an array of "${getType(type)}"`)
-        return valid
+        // check every item in order to report all the errors
+        return values.reduce(
+          (valid, value, i) =>
+            withPath(i, () => validateType(type, value)) && valid,
+          true,
+        )
       },
     })
+
+    return Object.defineProperty(arrayOfType, '_vueTypes_items', {
+      enumerable: false,
+      value: type,
+    })
   },
 
-  objectOf(type) {
-    return toType('objectOf', {
-      type: Object,
-      validator(obj) {
-        const valid = Object.keys(obj).every((key) =>
-          validateType(type, obj[key]),
-        )
-        if (!valid)
-          warn(`objectOf - value must be an object of "${getType(type)}"`)
-        return valid
+  mapOf(keyType, valueType) {
+    return toType('mapOf', {
+      type: Map,
+      validator(map) {
+        const entries = []
+        // keys can be of any type, so the entry position is used as path
+        map.forEach((value, key) => {
+          entries.push({ path: entries.length, key, value })
+        })
+        return validateEntries('mapOf', entries, keyType, valueType)
+      },
+    })
+  },
+
+  setOf(type) {
+    return toType('setOf', {
+      type: Set,
+      validator(set) {
+        const entries = []
+        set.forEach((value) => {
+          entries.push({ path: entries.length, value })
+        })
+        return validateEntries('setOf', entries, null, type)
       },
     })
   },
 
+  tuple(types, rest) {
+    if (!isArray(types)) {
+      throw new TypeError(
+        '[VueTypes error]: You must provide an array as argument',
+      )
+    }
+
+    return toType('tuple', {
+      type: Array,
+      validator(values) {
+        const { length } = types
+        const hasValidLength =
+          values.length === length || (!!rest && values.length > length)
+
+        if (!hasValidLength) {
+          warn(
+            `tuple - value should have ${rest ? 'at least ' : ''}${length} ${
+              length === 1 ? 'item' : 'items'
+            }, got ${values.length}`,
+            { name: 'tuple', expected: 'tuple', value: values },
+          )
+        }
+
+        // items exceeding the tuple length are checked against the rest type, if any
+        return values.reduce((valid, value, i) => {
+          const type = i < length ? types[i] : rest
+          if (!type) return valid
+          return withPath(i, () => validateType(type, value)) && valid
+        }, hasValidLength)
+      },
+    })
+  },
+
+  record(keyType, valueType) {
+    return createRecord('record', keyType, valueType)
+  },
+
+  objectOf(type) {
+    return createRecord('objectOf', null, type)
+  },
+
   shape(obj) {
     const keys = Object.keys(obj)
-    const requiredKeys = keys.filter(
-      (key) => obj[key] && obj[key].required === true,
-    )
 
     const type = toType('shape', {
       type: Object,
@@ -313,29 +881,39 @@ const VueTypes = {
           return false
         }
         const valueKeys = Object.keys(value)
+        // computed here, since lazy fields can't be resolved before validation
+        const requiredKeys = keys.filter((key) => isRequiredType(obj[key]))
 
         // check for required keys (if any)
-        if (
-          requiredKeys.length > 0 &&
-          requiredKeys.some((req) => valueKeys.indexOf(req) === -1)
-        ) {
-          warn(
-            `shape - at least one of required properties "${requiredKeys.join(
-              '", "',
-            )}" is not present`,
+        const hasRequired = requiredKeys.reduce((valid, req) => {
+          if (valueKeys.indexOf(req) !== -1) return valid
+          withPath(req, () =>
+            warn(`shape - required property "${req}" is not present`, {
+              name: 'shape',
+              expected: obj[req]._vueTypes_name || getType(obj[req]),
+              value: undefined,
+            }),
           )
           return false
-        }
+        }, true)
 
-        return valueKeys.every((key) => {
+        return valueKeys.reduce((valid, key) => {
           if (keys.indexOf(key) === -1) {
-            if (this._vueTypes_isLoose === true) return true
-            warn(`shape - object is missing "${key}" property`)
+            if (this._vueTypes_isLoose === true) return valid
+            withPath(key, () =>
+              warn(`shape - object has unexpected property "${key}"`, {
+                name: 'shape',
+                value: value[key],
+              }),
+            )
             return false
           }
           const type = obj[key]
-          return validateType(type, value[key])
-        })
+          if (this._vueTypes_isExact === true && value[key] === undefined) {
+            return withPath(key, () => checkExactUndefined(key, type)) && valid
+          }
+          return withPath(key, () => validateType(type, value[key])) && valid
+        }, hasRequired)
       },
     })
 
@@ -345,24 +923,155 @@ const VueTypes = {
       value: false,
     })
 
+    Object.defineProperty(type, '_vueTypes_isExact', {
+      enumerable: false,
+      writable: true,
+      value: false,
+    })
+
+    Object.defineProperty(type, '_vueTypes_fields', {
+      enumerable: false,
+      value: obj,
+    })
+
     Object.defineProperty(type, 'loose', {
       get() {
-        this._vueTypes_isLoose = true
-        return this
+        const looseType = clone(this)
+        looseType._vueTypes_isLoose = true
+        return looseType
+      },
+      enumerable: false,
+    })
+
+    Object.defineProperty(type, 'exact', {
+      get() {
+        const exactType = clone(this)
+        exactType._vueTypes_isExact = true
+        return exactType
       },
       enumerable: false,
     })
 
+    // creates a new shape from a field map, keeping the mode, the validators
+    // and the `required` and `nullable` flags of the base shape
+    const derive = (fields, base) => {
+      let shape = VueTypes.shape(fields)
+      if (base._vueTypes_isLoose === true) shape = shape.loose
+      if (base._vueTypes_isExact === true) shape = shape.exact
+      shape = (base._vueTypes_refinements || []).reduce(
+        (ret, [fn, message]) => ret.refine(fn, message),
+        shape,
+      )
+      if (base.required === true) shape = shape.isRequired
+      return base._vueTypes_nullable === true ? shape.nullable : shape
+    }
+    const mapFields = (fn) =>
+      keys.reduce((ret, key) => {
+        ret[key] = fn(obj[key])
+        return ret
+      }, {})
+    // drops just the `required` key, so that exact shapes handle `undefined`
+    // the same way on every field, whether it was required or not
+    const toOptional = (field) => {
+      if (!field || field.required !== true) return field
+      const opts = field._vueTypes_name
+        ? clone(field)
+        : Object.assign({}, field)
+      delete opts.required
+      return opts
+    }
+    const toRequired = (field) => {
+      if (field && field._vueTypes_name) return field.isRequired
+      return isPlainObject(field)
+        ? Object.assign({}, field, { required: true })
+        : { type: field, required: true }
+    }
+
+    Object.defineProperties(type, {
+      extend: {
+        value(fields) {
+          return derive(Object.assign({}, obj, fields), this)
+        },
+        enumerable: false,
+      },
+      pick: {
+        value(picked) {
+          return derive(
+            picked.reduce((ret, key) => {
+              if (has(obj, key)) ret[key] = obj[key]
+              return ret
+            }, {}),
+            this,
+          )
+        },
+        enumerable: false,
+      },
+      omit: {
+        value(omitted) {
+          return derive(
+            keys.reduce((ret, key) => {
+              if (omitted.indexOf(key) === -1) ret[key] = obj[key]
+              return ret
+            }, {}),
+            this,
+          )
+        },
+        enumerable: false,
+      },
+      partial: {
+        get() {
+          return derive(mapFields(toOptional), this)
+        },
+        enumerable: false,
+      },
+      allRequired: {
+        get() {
+          return derive(mapFields(toRequired), this)
+        },
+        enumerable: false,
+      },
+      applyDefaults: {
+        get() {
+          const defaultsType = clone(this)
+          defaultsType.default = () =>
+            applyDefaults(this, getDefault(this) || {})
+          return defaultsType
+        },
+        enumerable: false,
+      },
+      defFromFields: {
+        get() {
+          const defaultsType = clone(this)
+          defaultsType.default = () => getFieldsDefault(this)
+          return defaultsType
+        },
+        enumerable: false,
+      },
+    })
+
     return type
   },
 }
 
 setDefaults(VueTypes)
 
+VueTypes.config = config
+
+VueTypes.ValidationError = VueTypesValidationError
+
 VueTypes.utils = {
   validate(value, type) {
     return validateType(type, value, true)
   },
+  check(value, type) {
+    return checkType(type, value)
+  },
+  withDefaults(value, type) {
+    return applyDefaults(type, value)
+  },
+  strip(value, type) {
+    return stripUnknown(type, value)
+  },
   toType,
 }
 
@@ -0,0 +1,132 @@
+const EMAIL_REGEXP = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const URL_REGEXP = /^[a-z][a-z\d+.-]*:\/\/[^\s/?#]+\S*$/i
+const UUID_REGEXP = /^[\da-f]{8}-[\da-f]{4}-[\da-f]{4}-[\da-f]{4}-[\da-f]{12}$/i
+
+/**
+ * Refinements are factories returning a `[predicate, message]` pair.
+ * Factories without arguments are exposed as getters (ie: `VueTypes.string.email`)
+ */
+export const stringRefinements = {
+  minLength: (min) => [
+    (value) => value.length >= min,
+    `value should be at least ${min} characters long`,
+  ],
+  maxLength: (max) => [
+    (value) => value.length <= max,
+    `value should be at most ${max} characters long`,
+  ],
+  pattern: (regexp) => {
+    if (!(regexp instanceof RegExp)) {
+      throw new TypeError(
+        '[VueTypes error]: You must provide a regular expression as argument',
+      )
+    }
+    return [
+      (value) => {
+        // reset stateful (global or sticky) regular expressions
+        regexp.lastIndex = 0
+        return regexp.test(value)
+      },
+      `value should match pattern ${regexp}`,
+    ]
+  },
+  nonEmpty: () => [(value) => value.length > 0, 'value should not be empty'],
+  email: () => [
+    (value) => EMAIL_REGEXP.test(value),
+    'value should be a valid email address',
+  ],
+  url: () => [(value) => URL_REGEXP.test(value), 'value should be a valid URL'],
+  uuid: () => [
+    (value) => UUID_REGEXP.test(value),
+    'value should be a valid UUID',
+  ],
+}
+
+// tolerance used to compare floating point numbers
+const FLOAT_TOLERANCE = 1e-10
+
+export const numberRefinements = {
+  min: (min) => [
+    (value) => value >= min,
+    `value should be greater than or equal to ${min}`,
+  ],
+  max: (max) => [
+    (value) => value <= max,
+    `value should be less than or equal to ${max}`,
+  ],
+  range: (min, max) => [
+    (value) => value >= min && value <= max,
+    `value should be between ${min} and ${max}`,
+  ],
+  positive: () => [(value) => value > 0, 'value should be positive'],
+  nonNegative: () => [(value) => value >= 0, 'value should not be negative'],
+  multipleOf: (step) => {
+    if (typeof step !== 'number' || !isFinite(step) || step <= 0) {
+      throw new TypeError(
+        '[VueTypes error]: You must provide a positive number as argument',
+      )
+    }
+    return [
+      (value) => {
+        const quotient = value / step
+        return Math.abs(quotient - Math.round(quotient)) < FLOAT_TOLERANCE
+      },
+      `value should be a multiple of ${step}`,
+    ]
+  },
+}
+
+// formats the expected parameters list of a function, ie: `(arg1, arg2)`
+const signature = (length, rest = false) => {
+  const args = []
+  for (let i = 1; i <= length; i += 1) args.push(`arg${i}`)
+  if (rest) args.push('...')
+  return `(${args.join(', ')})`
+}
+
+// just native async functions can be detected, transpiled ones look like sync functions
+const isAsync = (fn) =>
+  Object.prototype.toString.call(fn) === '[object AsyncFunction]'
+
+export const funcRefinements = {
+  arity: (length) => [
+    (value) => value.length === length,
+    `value should have signature ${signature(length)}`,
+  ],
+  minArity: (length) => [
+    (value) => value.length >= length,
+    `value should have signature ${signature(length, true)}`,
+  ],
+  async: () => [(value) => isAsync(value), 'value should be an async function'],
+  sync: () => [
+    (value) => !isAsync(value),
+    'value should not be an async function',
+  ],
+}
+
+const toDate = (value) => {
+  const date = value instanceof Date ? value : new Date(value)
+  if (isNaN(date.getTime())) {
+    throw new TypeError(
+      '[VueTypes error]: You must provide a valid date as argument',
+    )
+  }
+  return date
+}
+
+export const dateRefinements = {
+  min: (min) => {
+    const date = toDate(min)
+    return [
+      (value) => value.getTime() >= date.getTime(),
+      `value should be on or after ${date.toISOString()}`,
+    ]
+  },
+  max: (max) => {
+    const date = toDate(max)
+    return [
+      (value) => value.getTime() <= date.getTime(),
+      `value should be on or before ${date.toISOString()}`,
+    ]
+  },
+}
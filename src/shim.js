@@ -1,15 +1,56 @@
 import Vue from 'vue'
 import isPlainObject from 'is-plain-object'
 import { setDefaults } from './sensibles'
+import { config } from './config'
+import {
+  VueTypesValidationError,
+  getDefault,
+  applyDefaults,
+  getFieldsDefault,
+  stripUnknown,
+} from './utils'
 
 const dfn = Object.defineProperty
 
+// refinement names are listed here to keep the actual validators out of the shim
+const numberRefinements = {
+  getters: ['positive', 'nonNegative'],
+  methods: ['min', 'max', 'range', 'multipleOf'],
+}
+const typeRefinements = {
+  string: {
+    getters: ['nonEmpty', 'email', 'url', 'uuid'],
+    methods: ['minLength', 'maxLength', 'pattern'],
+  },
+  number: numberRefinements,
+  integer: numberRefinements,
+  date: { getters: [], methods: ['min', 'max'] },
+  func: { getters: ['async', 'sync'], methods: ['arity', 'minArity'] },
+}
+
+// shallow copy keeping non-enumerable properties and accessors
+function clone(obj) {
+  const descriptors = {}
+  Object.getOwnPropertyNames(obj).forEach((key) => {
+    descriptors[key] = Object.getOwnPropertyDescriptor(obj, key)
+  })
+  return Object.defineProperties({}, descriptors)
+}
+
 const isArray =
   Array.isArray ||
   function(value) {
     return Object.prototype.toString.call(value) === '[object Array]'
   }
 
+// nullable types have no native type, so Vue would call function defaults as factories
+function wrapFunctionDefault(type, v) {
+  const nativeType = isArray(type._vueTypes_type)
+    ? type._vueTypes_type[0]
+    : type._vueTypes_type
+  return typeof v === 'function' && nativeType === Function ? () => v : v
+}
+
 function type(name, props, validable = false) {
   const descriptors = {
     _vueTypes_name: {
@@ -17,22 +58,56 @@ function type(name, props, validable = false) {
     },
     def: {
       value(v) {
-        if (v === undefined && !this.default) {
-          return this
+        const newType = clone(this)
+        if (v === undefined && !newType.default) {
+          return newType
         }
         if (isArray(v)) {
-          this.default = () => [].concat(v)
+          newType.default = () => [].concat(v)
         } else if (isPlainObject(v)) {
-          this.default = () => Object.assign({}, v)
+          newType.default = () => Object.assign({}, v)
+        } else if (v instanceof Date) {
+          newType.default = () => new Date(v.getTime())
         } else {
-          this.default = v
+          newType.default = wrapFunctionDefault(newType, v)
         }
-        return this
+        return newType
       },
     },
     isRequired: {
       get() {
-        this.required = true
+        const newType = clone(this)
+        newType.required = true
+        return newType
+      },
+    },
+    optional: {
+      get() {
+        const newType = clone(this)
+        delete newType.required
+        return newType
+      },
+    },
+    nullable: {
+      get() {
+        // Vue would reject `null` on required props with a native type
+        const newType = clone(this)
+        // keep Boolean types to let Vue cast boolean attributes
+        const isBoolean = isArray(newType.type)
+          ? newType.type.indexOf(Boolean) !== -1
+          : newType.type === Boolean
+        if (newType.type !== null && !isBoolean) {
+          dfn(newType, '_vueTypes_type', { value: newType.type })
+          newType.type = null
+          if ('default' in newType) {
+            newType.default = wrapFunctionDefault(newType, newType.default)
+          }
+        }
+        return newType
+      },
+    },
+    refine: {
+      value() {
         return this
       },
     },
@@ -43,6 +118,23 @@ function type(name, props, validable = false) {
       value() {},
     }
   }
+
+  // refinements are no-ops returning the type itself
+  const { getters = [], methods = [] } = typeRefinements[name] || {}
+  getters.forEach((key) => {
+    descriptors[key] = {
+      get() {
+        return this
+      },
+    }
+  })
+  methods.forEach((key) => {
+    descriptors[key] = {
+      value() {
+        return this
+      },
+    }
+  })
   return Object.assign(
     Object.defineProperties(
       {
@@ -55,9 +147,14 @@ function type(name, props, validable = false) {
 }
 
 const vueTypes = setDefaults({
+  config,
+  ValidationError: VueTypesValidationError,
   utils: {
     toType: type,
     validate: () => true,
+    check: () => ({ valid: true, errors: [] }),
+    withDefaults: (value, type) => applyDefaults(type, value),
+    strip: (value, type) => stripUnknown(type, value),
   },
 })
 
@@ -69,6 +166,8 @@ const typeMap = {
   array: Array,
   object: Object,
   arrayOf: Array,
+  tuple: Array,
+  discriminated: Object,
   objectOf: Object,
   shape: Object,
 }
@@ -85,11 +184,12 @@ const getters = [
 ]
 const methods = [
   'oneOf',
+  'literal',
   'custom',
   'instanceOf',
   'oneOfType',
-  'arrayOf',
-  'objectOf',
+  'tuple',
+  'discriminated',
 ]
 
 function createValidator(root, name, props, getter = false, validable = false) {
@@ -119,17 +219,156 @@ getters.forEach(recurseValidator(vueTypes, true, true))
 methods.forEach(recurseValidator(vueTypes, false))
 
 createValidator(vueTypes, 'integer', { type: Number }, true) // does not have a validate method
+createValidator(vueTypes, 'date', { type: Date }, true)
+createValidator(vueTypes, 'isoDateString', { type: String }, true)
+createValidator(vueTypes, 'component', { type: [Object, Function] }, true)
+createValidator(vueTypes, 'vnode', { type: null }, true)
+createValidator(vueTypes, 'listener', { type: [Function, Array] }, true)
+createValidator(vueTypes, 'slot', { type: Function }, true)
 
-dfn(vueTypes, 'shape', {
+// nested types are kept to apply nested default values
+;['arrayOf', 'objectOf'].forEach((name) => {
+  dfn(vueTypes, name, {
+    value(items) {
+      return dfn(type(name, { type: typeMap[name] }), '_vueTypes_items', {
+        value: items,
+      })
+    },
+  })
+})
+
+// the wrapped type is needed by `utils.withDefaults` and `utils.strip`
+dfn(vueTypes, 'lazy', {
+  value(factory) {
+    let resolved
+    return dfn(type('lazy', { type: null }), '_vueTypes_resolve', {
+      value() {
+        if (resolved === undefined) resolved = factory()
+        return resolved
+      },
+    })
+  },
+})
+
+dfn(vueTypes, 'record', {
+  value(keyType, valueType) {
+    return dfn(type('record', { type: Object }), '_vueTypes_items', {
+      value: valueType,
+    })
+  },
+})
+
+dfn(vueTypes, 'enumOf', {
   value() {
-    return dfn(type('shape', { type: Object }), 'loose', {
+    return dfn(type('enumOf', { type: null }), 'keys', {
       get() {
-        return this
+        const keysType = clone(this)
+        keysType.type = String
+        return keysType
       },
     })
   },
 })
 
+// `Map` and `Set` are read lazily, so the shim can be loaded where they are missing
+dfn(vueTypes, 'mapOf', { value: () => type('mapOf', { type: Map }) })
+dfn(vueTypes, 'setOf', { value: () => type('setOf', { type: Set }) })
+
+dfn(vueTypes, 'shape', {
+  value(fields) {
+    const getter = {
+      get() {
+        return clone(this)
+      },
+    }
+    // keeps the loose mode and the `required` and `nullable` flags, like in the full build
+    const derive = (base, derivedFields) => {
+      let derived = vueTypes.shape(derivedFields)
+      if (base._vueTypes_isLoose) derived = derived.loose
+      if (base.required === true) derived = derived.isRequired
+      return base.type === null ? derived.nullable : derived
+    }
+    const filterFields = (filter) => ({
+      value(keys) {
+        return derive(
+          this,
+          Object.keys(fields).reduce((ret, key) => {
+            if (filter(keys, key)) ret[key] = fields[key]
+            return ret
+          }, {}),
+        )
+      },
+    })
+    return Object.defineProperties(type('shape', { type: Object }), {
+      _vueTypes_fields: { value: fields },
+      _vueTypes_isLoose: { value: false, writable: true },
+      loose: {
+        get() {
+          const looseType = clone(this)
+          looseType._vueTypes_isLoose = true
+          return looseType
+        },
+      },
+      exact: getter,
+      partial: getter,
+      allRequired: getter,
+      extend: {
+        value(extension) {
+          return derive(this, Object.assign({}, fields, extension))
+        },
+      },
+      pick: filterFields((keys, key) => keys.indexOf(key) !== -1),
+      omit: filterFields((keys, key) => keys.indexOf(key) === -1),
+      applyDefaults: {
+        get() {
+          const defaultsType = clone(this)
+          defaultsType.default = () =>
+            applyDefaults(this, getDefault(this) || {})
+          return defaultsType
+        },
+      },
+      defFromFields: {
+        get() {
+          const defaultsType = clone(this)
+          defaultsType.default = () => getFieldsDefault(this)
+          return defaultsType
+        },
+      },
+    })
+  },
+})
+
+// shapes are merged like in the full build, to be used by `utils.strip` and `utils.withDefaults`
+dfn(vueTypes, 'allOf', {
+  value(arr) {
+    if (!arr.length || !arr.every((member) => member._vueTypes_fields)) {
+      return type('allOf', { type: null })
+    }
+    const fields = arr.reduce((ret, member) => {
+      const { _vueTypes_fields: obj } = member
+      Object.keys(obj).forEach((key) => {
+        ret[key] = key in ret ? vueTypes.allOf([ret[key], obj[key]]) : obj[key]
+      })
+      return ret
+    }, {})
+    const merged = vueTypes.shape(fields)
+    const defaults = arr.filter((member) => 'default' in member)
+    if (defaults.length > 0) {
+      merged.default = () =>
+        defaults.reduce(
+          (ret, member) => Object.assign(ret, getDefault(member)),
+          {},
+        )
+    }
+    if (arr.some((member) => member.required === true)) {
+      merged.required = true
+    }
+    return arr.every((member) => member.type === null)
+      ? merged.nullable
+      : merged
+  },
+})
+
 vueTypes.extend = function extend(props) {
   const { name, validate, getter = false, type = null } = props
   // If we are inheriting from a custom type, let's ignore the type property
@@ -1,5 +1,6 @@
 import isPlainObject from 'is-plain-object'
 import Vue from 'vue'
+import { config } from './config'
 
 const ObjProto = Object.prototype
 const toString = ObjProto.toString
@@ -7,6 +8,9 @@ export const hasOwn = ObjProto.hasOwnProperty
 
 const FN_MATCH_REGEXP = /^\s*function (\w+)/
 
+// keys and indexes leading to the value currently being validated
+let validationPath = []
+
 // https://github.com/vuejs/vue/blob/dev/src/core/util/props.js#L177
 export function getType(fn) {
   const type = fn !== null && fn !== undefined ? (fn.type ? fn.type : fn) : null
@@ -77,6 +81,154 @@ export const isArray =
 export const isFunction = (value) =>
   toString.call(value) === '[object Function]'
 
+const ISO_DATE_REGEXP = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/
+
+/**
+ * Checks if a value is a valid `Date` object
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export const isValidDate = (value) =>
+  value instanceof Date && !isNaN(value.getTime())
+
+/**
+ * Checks if a value is an ISO 8601 date string (ie: `2020-01-31` or `2020-01-31T10:30:00Z`).
+ * Dates out of range (ie: `2020-02-30`) are rejected
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export function isISODateString(value) {
+  const match = typeof value === 'string' && ISO_DATE_REGEXP.exec(value)
+  if (!match) return false
+  const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match
+  // out of range days roll over (ie: February 30th becomes March 1st)
+  const date = new Date(Date.UTC(year, month - 1, day))
+  return (
+    date.getUTCMonth() === month - 1 &&
+    date.getUTCDate() === Number(day) &&
+    hours < 24 &&
+    minutes < 60 &&
+    seconds < 60
+  )
+}
+
+// lazily resolved from an empty VNode, since Vue doesn't expose the VNode class
+let VNode
+
+/**
+ * Checks if a value is a Vue `VNode` instance
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export function isVNode(value) {
+  if (value === null || typeof value !== 'object') return false
+  if (!VNode) {
+    VNode = Vue.prototype._e().constructor
+  }
+  return value instanceof VNode
+}
+
+// options which identify a component definition object
+const COMPONENT_OPTIONS = [
+  'render',
+  'template',
+  'functional',
+  'extends',
+  'mixins',
+]
+
+/**
+ * Checks if a value is a component definition: either an options object,
+ * a constructor (ie: created with `Vue.extend`) or an async component factory
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export function isComponent(value) {
+  // constructors and async factories are both functions
+  if (typeof value === 'function') return true
+  return (
+    isPlainObject(value) && COMPONENT_OPTIONS.some((key) => has(value, key))
+  )
+}
+
+/**
+ * Checks if two values are deeply equal. Recurses through arrays and plain objects
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+export function isDeepEqual(a, b) {
+  if (a === b) return true
+  if (isArray(a) && isArray(b)) {
+    return a.length === b.length && a.every((v, i) => isDeepEqual(v, b[i]))
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a)
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => has(b, key) && isDeepEqual(a[key], b[key]))
+    )
+  }
+  return false
+}
+
+/**
+ * Returns a readable representation of a value to be used in warnings.
+ * Arrays and plain objects are serialized as JSON
+ *
+ * @param {*} value - Value to format
+ * @returns {string}
+ */
+export function formatValue(value) {
+  if (isArray(value) || isPlainObject(value)) {
+    try {
+      return JSON.stringify(value)
+    } catch (e) {
+      // circular references
+    }
+  }
+  return `"${value}"`
+}
+
+/**
+ * Clones a prop type object copying every own property, modifiers included.
+ * The validator is bound to the new object
+ *
+ * @param {object} type - Prop type to clone
+ * @returns {object} A new prop type
+ */
+export function clone(type) {
+  const descriptors = {}
+  Object.getOwnPropertyNames(type).forEach((key) => {
+    descriptors[key] = Object.getOwnPropertyDescriptor(type, key)
+  })
+  const copy = Object.defineProperties({}, descriptors)
+  const { validator } = type
+  if (validator && validator.__original) {
+    copy.validator = bindValidator(copy, validator.__original)
+  }
+  return copy
+}
+
+/**
+ * Nullable types have no native `type` (see `withNullable`), so Vue would call
+ * the default value of a function type as a factory. Wraps it to return the function itself
+ *
+ * @param {object} type - Prop type
+ * @param {*} def - Default value
+ * @returns {*}
+ */
+function wrapFunctionDefault(type, def) {
+  return isFunction(def) && getType(type._vueTypes_type) === 'Function'
+    ? () => def
+    : def
+}
+
 /**
  * Adds a `def` method to the object returning a new object with passed in argument as `default` property
  *
@@ -86,21 +238,27 @@ export const isFunction = (value) =>
 export function withDefault(type) {
   return Object.defineProperty(type, 'def', {
     value(def) {
-      if (def === undefined && !this.default) {
-        return this
+      const newType = clone(this)
+      if (def === undefined && !newType.default) {
+        return newType
       }
-      if (!isFunction(def) && !validateType(this, def)) {
-        warn(`${this._vueTypes_name} - invalid default value: "${def}"`, def)
-        return this
+      if (!isFunction(def) && !validateType(newType, def)) {
+        warn(`${newType._vueTypes_name} - invalid default value: "${def}"`, {
+          name: newType._vueTypes_name,
+          value: def,
+        })
+        return newType
       }
       if (isArray(def)) {
-        this.default = () => [...def]
+        newType.default = () => [...def]
       } else if (isPlainObject(def)) {
-        this.default = () => Object.assign({}, def)
+        newType.default = () => Object.assign({}, def)
+      } else if (def instanceof Date) {
+        newType.default = () => new Date(def.getTime())
       } else {
-        this.default = def
+        newType.default = wrapFunctionDefault(newType, def)
       }
-      return this
+      return newType
     },
     enumerable: false,
     writable: false,
@@ -109,22 +267,87 @@ export function withDefault(type) {
 
 /**
  * Adds a `isRequired` getter returning a new object with `required: true` key-value
+ * and an `optional` getter returning a new object without it
  *
  * @param {object} type - Object to enhance
  * @returns {object} the passed-in prop type
  */
 export function withRequired(type) {
-  return Object.defineProperty(type, 'isRequired', {
+  return Object.defineProperties(type, {
+    isRequired: {
+      get() {
+        const newType = clone(this)
+        newType.required = true
+        return newType
+      },
+      enumerable: false,
+    },
+    optional: {
+      get() {
+        const newType = clone(this)
+        delete newType.required
+        // explicitly optional types accept `undefined` in exact shapes
+        return Object.defineProperty(newType, '_vueTypes_optional', {
+          value: true,
+          enumerable: false,
+        })
+      },
+      enumerable: false,
+    },
+  })
+}
+
+/**
+ * Checks if Vue casts the values of a prop with the given native type to boolean
+ *
+ * @param {function|function[]} type - Native type
+ * @returns {boolean}
+ */
+function isBooleanType(type) {
+  return isArray(type) ? type.indexOf(Boolean) !== -1 : type === Boolean
+}
+
+/**
+ * Adds a `nullable` getter returning a new object accepting `null` values.
+ * Since Vue rejects `null` on required props with a native `type`,
+ * the native type check is moved into the validator (see `runValidator`).
+ * Boolean types are kept as they are, so that Vue keeps casting boolean attributes
+ *
+ * @param {object} type - Object to enhance
+ * @returns {object} the passed-in prop type
+ */
+export function withNullable(type) {
+  return Object.defineProperty(type, 'nullable', {
     get() {
-      this.required = true
-      return this
+      const newType = clone(this)
+      if (
+        newType.type !== null &&
+        newType.type !== undefined &&
+        !isBooleanType(newType.type)
+      ) {
+        Object.defineProperty(newType, '_vueTypes_type', {
+          value: newType.type,
+          enumerable: false,
+        })
+        newType.type = null
+        if (hasOwn.call(newType, 'default')) {
+          newType.default = wrapFunctionDefault(newType, newType.default)
+        }
+      }
+      if (!isFunction(newType.validator)) {
+        newType.validator = bindValidator(newType, stubTrue)
+      }
+      return Object.defineProperty(newType, '_vueTypes_nullable', {
+        value: true,
+        enumerable: false,
+      })
     },
     enumerable: false,
   })
 }
 
 /**
- * Adds a validate method useful to set the prop `validator` function.
+ * Adds a validate method returning a new object with the passed-in `validator` function.
  *
  * @param {object} type Prop type to extend
  * @returns {object} the passed-in prop type
@@ -132,13 +355,95 @@ export function withRequired(type) {
 export function withValidate(type) {
   return Object.defineProperty(type, 'validate', {
     value(fn) {
-      this.validator = fn.bind(this)
-      return this
+      const newType = clone(this)
+      newType.validator = bindValidator(newType, fn)
+      return newType
     },
     enumerable: false,
   })
 }
 
+/**
+ * Adds a validation function on top of the type's current validator
+ *
+ * @param {object} type - Prop type to extend
+ * @param {function} fn - Predicate function receiving the value to check
+ * @param {string} message - Warning message reported when the predicate fails
+ * @returns {object} the passed-in prop type
+ */
+export function addValidator(type, fn, message) {
+  const { validator } = type
+  const base =
+    validator && validator.__original ? validator.__original : validator
+  type.validator = bindValidator(type, function(value) {
+    if (isFunction(base) && !runValidator(this, base, value)) {
+      return false
+    }
+    const valid = fn.call(this, value)
+    if (!valid) {
+      const name = this._vueTypes_name
+      warn(`${name} - ${message}`, { name, expected: name, value })
+    }
+    return valid
+  })
+  // kept to apply the same validators to shapes derived from this type
+  return Object.defineProperty(type, '_vueTypes_refinements', {
+    enumerable: false,
+    configurable: true,
+    value: (type._vueTypes_refinements || []).concat([[fn, message]]),
+  })
+}
+
+/**
+ * Adds a `refine` method returning a new object with a validation function
+ * stacked on top of the type's current validator.
+ *
+ * @param {object} type - Prop type to extend
+ * @returns {object} the passed-in prop type
+ */
+export function withRefine(type) {
+  return Object.defineProperty(type, 'refine', {
+    value(fn, message = 'custom validation failed') {
+      if (!isFunction(fn)) {
+        throw new TypeError(
+          '[VueTypes error]: You must provide a function as argument',
+        )
+      }
+      return addValidator(clone(this), fn, message)
+    },
+    enumerable: false,
+  })
+}
+
+/**
+ * Adds refinement modifiers to a prop type, each returning a new object.
+ * Each refinement is a factory returning a `[predicate, message]` pair:
+ * factories with arguments are exposed as methods, the others as getters
+ *
+ * @param {object} type - Prop type to extend
+ * @param {object} refinements - Map of refinement factories
+ * @returns {object} the passed-in prop type
+ */
+export function withRefinements(type, refinements) {
+  Object.keys(refinements).forEach((key) => {
+    const refinement = refinements[key]
+    const descriptor =
+      refinement.length === 0
+        ? {
+            get() {
+              return addValidator(clone(this), ...refinement())
+            },
+          }
+        : {
+            value(...args) {
+              return addValidator(clone(this), ...refinement(...args))
+            },
+          }
+    Object.defineProperty(type, key, { ...descriptor, enumerable: false })
+  })
+  return type
+}
+
 /**
  * Adds `isRequired` and `def` modifiers to an object
  *
@@ -154,7 +459,7 @@ export function toType(name, obj, validateFn = false) {
     value: name,
   })
 
-  withDefault(withRequired(obj))
+  withNullable(withRefine(withDefault(withRequired(obj))))
 
   if (validateFn) {
     withValidate(obj)
@@ -169,11 +474,292 @@ export function toType(name, obj, validateFn = false) {
   }
 
   if (isFunction(obj.validator)) {
-    obj.validator = obj.validator.bind(obj)
+    obj.validator = bindValidator(obj, obj.validator)
   }
   return obj
 }
 
+/**
+ * Runs a validator function on a value.
+ * When the validation fails without reporting a specific warning, a generic one is reported.
+ * `null` is always valid for nullable types, while other values are checked against their native type first
+ *
+ * @param {object} type - Type object. Used as `this` context and to name the warning
+ * @param {function} fn - Validator function
+ * @param {*} value - Value to check
+ * @param {boolean} [silent=false] - Silence warnings
+ * @returns {boolean}
+ */
+export function runValidator(type, fn, value, silent = false) {
+  if (value === null && type._vueTypes_nullable === true) {
+    return true
+  }
+  if (hasOwn.call(type, '_vueTypes_type')) {
+    if (value === undefined && !type.required) {
+      return true
+    }
+    const nativeType = {
+      _vueTypes_name: type._vueTypes_name,
+      type: type._vueTypes_type,
+      required: true,
+    }
+    if (!validateType(nativeType, value, silent)) {
+      return false
+    }
+  }
+  // swallow warnings when silent, else track whether
+  // the validator reported a more specific one
+  const oldWarn = warn
+  let warned = false
+  let valid
+  warn = silent
+    ? noop
+    : function(...args) {
+        warned = true
+        return oldWarn(...args)
+      }
+
+  try {
+    valid = fn.call(type, value)
+  } finally {
+    warn = oldWarn
+  }
+
+  if (!valid && silent === false && !warned) {
+    const name = type._vueTypes_name || null
+    warn(`${name ? name + ' - ' : ''}custom validation failed`, {
+      name,
+      expected: name || getType(type),
+      value,
+    })
+  }
+  return valid
+}
+
+/**
+ * Binds a validator function to a type object.
+ * The unbound function is exposed as `__original`
+ *
+ * @param {object} type - Type object
+ * @param {function} fn - Validator function
+ * @returns {function}
+ */
+export function bindValidator(type, fn) {
+  const validator = function validator(value) {
+    return runValidator(type, fn, value)
+  }
+  // keep a reference to the unbound function to re-bind it on cloned types
+  return Object.defineProperty(validator, '__original', { value: fn })
+}
+
+/**
+ * Formats a validation path as a property accessor string (ie: `users[2].address.zip`)
+ *
+ * @param {Array<string|number>} path - Path segments. Numbers are treated as array indexes
+ * @returns {string}
+ */
+export function formatPath(path) {
+  return path.reduce((str, key) => {
+    if (typeof key === 'number') {
+      return `${str}[${key}]`
+    }
+    return str ? `${str}.${key}` : `${key}`
+  }, '')
+}
+
+/**
+ * Executes a function while appending a key to the current validation path.
+ * Used by nested validators to locate the value being validated
+ *
+ * @param {string|number} key - Object key or array index
+ * @param {function} fn - Function to execute
+ * @returns {*} The function's return value
+ */
+export function withPath(key, fn) {
+  validationPath.push(key)
+  try {
+    return fn()
+  } finally {
+    validationPath.pop()
+  }
+}
+
+/**
+ * Creates a validation error object from a warning message and its details
+ *
+ * @param {string} message - Warning message
+ * @param {object} [details] - Error details (`name`, `expected`, `value`)
+ * @returns {object}
+ */
+export function createErrorDetails(message, details) {
+  return Object.assign(
+    {
+      message,
+      path: formatPath(validationPath),
+      name: null,
+      expected: null,
+      value: undefined,
+    },
+    details,
+  )
+}
+
+/**
+ * Returns the type wrapped by a `VueTypes.lazy()` type, resolving it if needed.
+ * Other types are returned as they are
+ *
+ * @param {object|*} type - Prop type
+ * @returns {object|*}
+ */
+export function resolveLazy(type) {
+  let resolved = type
+  while (resolved && typeof resolved._vueTypes_resolve === 'function') {
+    resolved = resolved._vueTypes_resolve()
+  }
+  return resolved
+}
+
+/**
+ * Checks if a prop type is required. Lazy types are resolved
+ *
+ * @param {object|*} type - Prop type
+ * @returns {boolean}
+ */
+export function isRequiredType(type) {
+  if (!type) return false
+  const resolved = resolveLazy(type)
+  return type.required === true || (!!resolved && resolved.required === true)
+}
+
+/**
+ * Returns the default value of a prop type, calling default factories like Vue does
+ *
+ * @param {Object|*} type - Prop type. Either a type object or a constructor
+ * @returns {*}
+ */
+export function getDefault(type) {
+  if (!isPlainObject(type) || !hasOwn.call(type, 'default')) {
+    return undefined
+  }
+  const def = type.default
+  return isFunction(def) && getType(type) !== 'Function' ? def() : def
+}
+
+/**
+ * Returns a copy of a value with missing values replaced by the type's defaults.
+ * Recurses through shape fields and `arrayOf`/`objectOf` items
+ *
+ * @param {Object|*} type - Prop type. Either a type object or a constructor
+ * @param {*} value - Value to fill
+ * @returns {*}
+ */
+export function applyDefaults(type, value) {
+  const target = resolveLazy(type)
+  let resolved = value
+  if (resolved === undefined) {
+    const def = getDefault(type)
+    resolved = def === undefined ? getDefault(target) : def
+  }
+  if (!isPlainObject(target) || resolved === null || resolved === undefined) {
+    return resolved
+  }
+  const { _vueTypes_fields: fields, _vueTypes_items: items } = target
+
+  if (fields && isPlainObject(resolved)) {
+    return Object.keys(fields).reduce((ret, key) => {
+      const fieldValue = applyDefaults(fields[key], resolved[key])
+      if (fieldValue !== undefined) {
+        ret[key] = fieldValue
+      }
+      return ret
+    }, Object.assign({}, resolved))
+  }
+  if (items && isArray(resolved)) {
+    return resolved.map((item) => applyDefaults(items, item))
+  }
+  if (items && isPlainObject(resolved)) {
+    return Object.keys(resolved).reduce((ret, key) => {
+      ret[key] = applyDefaults(items, resolved[key])
+      return ret
+    }, {})
+  }
+  return resolved
+}
+
+/**
+ * Returns empty objects for the nested shapes without a default value,
+ * to be filled by `applyDefaults`. Circular references are skipped
+ *
+ * @param {object} type - Shape type
+ * @param {object[]} stack - Shapes being visited
+ * @returns {object}
+ */
+function getFieldsSeed(type, stack) {
+  const target = resolveLazy(type)
+  const { _vueTypes_fields: fields } = target
+  const nextStack = stack.concat(target)
+  return Object.keys(fields).reduce((ret, key) => {
+    const field = resolveLazy(fields[key])
+    if (
+      isPlainObject(field) &&
+      field._vueTypes_fields &&
+      !hasOwn.call(fields[key], 'default') &&
+      !hasOwn.call(field, 'default') &&
+      nextStack.indexOf(field) === -1
+    ) {
+      ret[key] = getFieldsSeed(field, nextStack)
+    }
+    return ret
+  }, {})
+}
+
+/**
+ * Builds a shape value from the default values of its fields.
+ * Nested shapes without a default value are built from their fields too
+ *
+ * @param {object} type - Shape type
+ * @returns {object}
+ */
+export function getFieldsDefault(type) {
+  return applyDefaults(type, getFieldsSeed(type, []))
+}
+
+/**
+ * Returns a deep copy of a value keeping just the keys declared by the type.
+ * Recurses through shape fields and `arrayOf`/`objectOf` items
+ *
+ * @param {Object|*} type - Prop type. Either a type object or a constructor
+ * @param {*} value - Value to copy
+ * @returns {*}
+ */
+export function stripUnknown(type, value) {
+  const target = resolveLazy(type)
+  const { _vueTypes_fields: fields, _vueTypes_items: items } = isPlainObject(
+    target,
+  )
+    ? target
+    : {}
+
+  if (fields && isPlainObject(value)) {
+    return Object.keys(fields).reduce((ret, key) => {
+      if (has(value, key)) {
+        ret[key] = stripUnknown(fields[key], value[key])
+      }
+      return ret
+    }, {})
+  }
+  if (isArray(value)) {
+    return value.map((item) => stripUnknown(items, item))
+  }
+  if (isPlainObject(value)) {
+    return Object.keys(value).reduce((ret, key) => {
+      ret[key] = stripUnknown(items, value[key])
+      return ret
+    }, {})
+  }
+  return value
+}
+
 /**
  * Validates a given value against a prop type object
  *
@@ -189,9 +775,23 @@ export function validateType(type, value, silent = false) {
   if (!isPlainObject(type)) {
     typeToCheck = { type }
   }
-  const namePrefix = typeToCheck._vueTypes_name
-    ? typeToCheck._vueTypes_name + ' - '
-    : ''
+  const name = typeToCheck._vueTypes_name || null
+  const namePrefix = name ? name + ' - ' : ''
+
+  if (value === null) {
+    if (typeToCheck._vueTypes_nullable === true) {
+      return true
+    }
+    if (config.rejectNull === true) {
+      silent === false &&
+        warn(`${namePrefix}value should not be null`, {
+          name,
+          expected: getType(typeToCheck) || name,
+          value,
+        })
+      return false
+    }
+  }
 
   if (hasOwn.call(typeToCheck, 'type') && typeToCheck.type !== null) {
     if (typeToCheck.type === undefined) {
@@ -212,11 +812,13 @@ export function validateType(type, value, silent = false) {
         valid = isArray(value)
       } else if (expectedType === 'Object') {
         valid = isPlainObject(value)
+      } else if (expectedType === 'Function') {
+        // like Vue, accept async and generator functions too
+        valid = typeof value === 'function'
       } else if (
         expectedType === 'String' ||
         expectedType === 'Number' ||
-        expectedType === 'Boolean' ||
-        expectedType === 'Function'
+        expectedType === 'Boolean'
       ) {
         valid = getNativeType(value) === expectedType
       } else {
@@ -227,7 +829,14 @@ export function validateType(type, value, silent = false) {
 
   if (!valid) {
     silent === false &&
-      warn(`${namePrefix}value "${value}" should be of type "${expectedType}"`)
+      warn(
+        `${namePrefix}value "${value}" should be of type "${expectedType}"`,
+        {
+          name,
+          expected: expectedType,
+          value,
+        },
+      )
     return false
   }
 
@@ -235,33 +844,92 @@ export function validateType(type, value, silent = false) {
     hasOwn.call(typeToCheck, 'validator') &&
     isFunction(typeToCheck.validator)
   ) {
-    // swallow warn
-    let oldWarn
-    if (silent) {
-      oldWarn = warn
-      warn = noop
-    }
+    return runValidator(typeToCheck, typeToCheck.validator, value, silent)
+  }
+  return valid
+}
 
-    valid = typeToCheck.validator(value)
-    oldWarn && (warn = oldWarn)
+/**
+ * Validates a given value against a prop type object collecting every validation error
+ *
+ * @param {Object|*} type - Type to use for validation. Either a type object or a constructor
+ * @param {*} value - Value to check
+ * @returns {{ valid: boolean, errors: object[] }}
+ */
+export function checkType(type, value) {
+  const errors = []
+  const oldWarn = warn
+  const oldPath = validationPath
+  let valid
 
-    if (!valid && silent === false)
-      warn(`${namePrefix}custom validation failed`)
-    return valid
+  warn = function collect(message, details) {
+    errors.push(createErrorDetails(message, details))
   }
-  return valid
+  validationPath = []
+
+  try {
+    valid = validateType(type, value)
+  } finally {
+    warn = oldWarn
+    validationPath = oldPath
+  }
+
+  return { valid, errors }
 }
 
+/**
+ * Error thrown on validation failures when `config.strict` is enabled.
+ * Defined without `class` to keep babel's native constructor wrapper out of the bundles
+ *
+ * @param {object} details - Validation error details
+ */
+export function VueTypesValidationError({
+  message,
+  path,
+  name,
+  expected,
+  value,
+}) {
+  this.name = 'VueTypesValidationError'
+  this.message = `[VueTypes error]: ${path ? `${path}: ` : ''}${message}`
+  this.path = path
+  this.typeName = name
+  this.expected = expected
+  this.value = value
+  if (isFunction(Error.captureStackTrace)) {
+    Error.captureStackTrace(this, VueTypesValidationError)
+  } else {
+    this.stack = new Error(this.message).stack
+  }
+}
+
+VueTypesValidationError.prototype = Object.create(Error.prototype, {
+  constructor: {
+    value: VueTypesValidationError,
+    writable: true,
+    configurable: true,
+  },
+})
+
 let warn = noop
 
 if (process.env.NODE_ENV !== 'production') {
   const hasConsole = typeof console !== 'undefined'
-  warn = hasConsole
-    ? function warn(msg) {
-        // eslint-disable-next-line no-console
-        Vue.config.silent === false && console.warn(`[VueTypes warn]: ${msg}`)
-      }
-    : noop
+  warn = function warn(msg, details) {
+    if (config.strict === true) {
+      throw new VueTypesValidationError(createErrorDetails(msg, details))
+    }
+    if (isFunction(config.onWarn)) {
+      config.onWarn(msg, createErrorDetails(msg, details))
+      return
+    }
+    if (!hasConsole || Vue.config.silent !== false) return
+    // prefix nested validation warnings with the path to the failing value
+    const path = formatPath(validationPath)
+    const prefix = path ? `${path}: ` : ''
+    // eslint-disable-next-line no-console
+    console.warn(`[VueTypes warn]: ${prefix}${msg}`)
+  }
 }
 
 export { warn }
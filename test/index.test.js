@@ -48,6 +48,56 @@ describe('VueTypes', () => {
 
       expect(VueTypes.func.def(myFn).default).toBe(myFn)
     })
+
+    // built at runtime so that it's not transpiled into a sync function
+    // eslint-disable-next-line no-new-func
+    const asyncFn = new Function('return async function (a, b) {}')()
+
+    it('should accept async functions', () => {
+      expect(VueTypes.utils.validate(asyncFn, VueTypes.func)).toBe(true)
+    })
+
+    describe('refinements', () => {
+      let onWarn
+
+      beforeEach(() => {
+        onWarn = expect.createSpy()
+        VueTypes.config.onWarn = onWarn
+      })
+
+      afterEach(() => {
+        VueTypes.config.onWarn = null
+      })
+
+      it('should provide `arity` and `minArity` refinements', () => {
+        const arity = forceNoContext(VueTypes.func.arity(2).validator)
+        const minArity = forceNoContext(VueTypes.func.minArity(1).validator)
+        expect(arity((a, b) => a + b)).toBe(true)
+        expect(arity(() => {})).toBe(false)
+        expect(minArity((a) => a)).toBe(true)
+        expect(minArity((a, b) => a + b)).toBe(true)
+        expect(minArity(() => {})).toBe(false)
+
+        expect(onWarn.calls.map(({ arguments: args }) => args[0])).toEqual([
+          'function - value should have signature (arg1, arg2)',
+          'function - value should have signature (arg1, ...)',
+        ])
+      })
+
+      it('should provide `async` and `sync` refinements', () => {
+        const isAsync = forceNoContext(VueTypes.func.async.validator)
+        const isSync = forceNoContext(VueTypes.func.sync.arity(2).validator)
+        expect(isAsync(asyncFn)).toBe(true)
+        expect(isAsync(() => {})).toBe(false)
+        expect(isSync((a, b) => a + b)).toBe(true)
+        expect(isSync(asyncFn)).toBe(false)
+
+        expect(onWarn.calls.map(({ arguments: args }) => args[0])).toEqual([
+          'function - value should be an async function',
+          'function - value should not be an async function',
+        ])
+      })
+    })
   })
 
   describe('`.bool`', () => {
@@ -86,6 +136,107 @@ describe('VueTypes', () => {
     it('should provide a method to set a custom default', () => {
       expect(VueTypes.string.def('test').default).toBe('test')
     })
+
+    describe('refinements', () => {
+      let onWarn
+
+      beforeEach(() => {
+        onWarn = expect.createSpy()
+        VueTypes.config.onWarn = onWarn
+      })
+
+      afterEach(() => {
+        VueTypes.config.onWarn = null
+      })
+
+      it('should provide a `minLength` refinement', () => {
+        const validator = VueTypes.string.minLength(3).validator
+        expect(validator('abc')).toBe(true)
+        expect(validator('ab')).toBe(false)
+        expect(onWarn.calls[0].arguments[0]).toBe(
+          'string - value should be at least 3 characters long',
+        )
+      })
+
+      it('should provide a `maxLength` refinement', () => {
+        const validator = VueTypes.string.maxLength(3).validator
+        expect(validator('abc')).toBe(true)
+        expect(validator('abcd')).toBe(false)
+        expect(onWarn.calls[0].arguments[0]).toBe(
+          'string - value should be at most 3 characters long',
+        )
+      })
+
+      it('should provide a `pattern` refinement', () => {
+        const validator = VueTypes.string.pattern(/^[a-z]+$/g).validator
+        expect(validator('abc')).toBe(true)
+        expect(validator('abc')).toBe(true)
+        expect(validator('ABC')).toBe(false)
+        expect(onWarn.calls[0].arguments[0]).toBe(
+          'string - value should match pattern /^[a-z]+$/g',
+        )
+      })
+
+      it('should throw when `pattern` is not passed a regular expression', () => {
+        expect(() => VueTypes.string.pattern('abc')).toThrow(
+          /\[VueTypes error\]: You must provide a regular expression/,
+        )
+      })
+
+      it('should provide a `nonEmpty` refinement', () => {
+        const validator = VueTypes.string.nonEmpty.validator
+        expect(validator('a')).toBe(true)
+        expect(validator('')).toBe(false)
+      })
+
+      it('should provide an `email` refinement', () => {
+        const validator = VueTypes.string.email.validator
+        expect(validator('john.doe@example.com')).toBe(true)
+        expect(validator('john.doe@example')).toBe(false)
+        expect(validator('john doe@example.com')).toBe(false)
+      })
+
+      it('should provide an `url` refinement', () => {
+        const validator = VueTypes.string.url.validator
+        expect(validator('https://example.com/path?query=1')).toBe(true)
+        expect(validator('example.com')).toBe(false)
+        expect(validator('https://')).toBe(false)
+      })
+
+      it('should provide an `uuid` refinement', () => {
+        const validator = VueTypes.string.uuid.validator
+        expect(validator('123e4567-e89b-12d3-a456-426614174000')).toBe(true)
+        expect(validator('123E4567-E89B-12D3-A456-426614174000')).toBe(true)
+        expect(validator('123e4567e89b12d3a456426614174000')).toBe(false)
+        expect(validator('123e4567-e89b-12d3-a456-42661417400z')).toBe(false)
+      })
+
+      it('should compose refinements', () => {
+        const customType = VueTypes.string.nonEmpty.minLength(2).maxLength(4)
+          .isRequired
+        const validator = forceNoContext(customType.validator)
+
+        expect(customType.required).toBe(true)
+        expect(validator('abc')).toBe(true)
+        expect(validator('a')).toBe(false)
+        expect(validator('abcde')).toBe(false)
+        expect(onWarn.calls.length).toBe(2)
+      })
+
+      it('should compose with a custom validator', () => {
+        const customType = VueTypes.string
+          .validate((v) => v !== 'admin')
+          .minLength(3)
+        expect(customType.validator('john')).toBe(true)
+        expect(customType.validator('admin')).toBe(false)
+        expect(customType.validator('jo')).toBe(false)
+      })
+
+      it('should validate the default value', () => {
+        expect(VueTypes.string.minLength(3).def('abc').default).toBe('abc')
+        expect(VueTypes.string.minLength(3).def('ab').default).toBe('')
+      })
+    })
   })
 
   describe('`.number`', () => {
@@ -105,6 +256,70 @@ describe('VueTypes', () => {
     it('should provide a method to set a custom default', () => {
       expect(VueTypes.number.def(100).default).toBe(100)
     })
+
+    describe('refinements', () => {
+      let onWarn
+
+      beforeEach(() => {
+        onWarn = expect.createSpy()
+        VueTypes.config.onWarn = onWarn
+      })
+
+      afterEach(() => {
+        VueTypes.config.onWarn = null
+      })
+
+      it('should provide `min` and `max` refinements', () => {
+        const validator = VueTypes.number.min(1).max(10).validator
+        expect(validator(1)).toBe(true)
+        expect(validator(10)).toBe(true)
+        expect(validator(0.5)).toBe(false)
+        expect(validator(11)).toBe(false)
+        expect(onWarn.calls.map(({ arguments: args }) => args[0])).toEqual([
+          'number - value should be greater than or equal to 1',
+          'number - value should be less than or equal to 10',
+        ])
+      })
+
+      it('should provide a `range` refinement', () => {
+        const validator = VueTypes.number.range(-1, 1).validator
+        expect(validator(0)).toBe(true)
+        expect(validator(-2)).toBe(false)
+        expect(onWarn.calls[0].arguments[0]).toBe(
+          'number - value should be between -1 and 1',
+        )
+      })
+
+      it('should provide `positive` and `nonNegative` refinements', () => {
+        expect(VueTypes.number.positive.validator(1)).toBe(true)
+        expect(VueTypes.number.positive.validator(0)).toBe(false)
+        expect(VueTypes.number.nonNegative.validator(0)).toBe(true)
+        expect(VueTypes.number.nonNegative.validator(-1)).toBe(false)
+      })
+
+      it('should provide a `multipleOf` refinement', () => {
+        const validator = VueTypes.number.multipleOf(0.1).validator
+        expect(validator(0.3)).toBe(true)
+        expect(validator(0.35)).toBe(false)
+        expect(onWarn.calls[0].arguments[0]).toBe(
+          'number - value should be a multiple of 0.1',
+        )
+      })
+
+      it('should throw when `multipleOf` is not passed a positive number', () => {
+        expect(() => VueTypes.number.multipleOf(0)).toThrow(
+          /\[VueTypes error\]: You must provide a positive number/,
+        )
+        ;[-1, NaN, Infinity, '2'].forEach((step) => {
+          expect(() => VueTypes.number.multipleOf(step)).toThrow(TypeError)
+        })
+      })
+
+      it('should validate the default value', () => {
+        expect(VueTypes.number.positive.def(1).default).toBe(1)
+        expect(VueTypes.number.positive.def(-1).default).toBe(0)
+      })
+    })
   })
 
   describe('`.array`', () => {
@@ -211,6 +426,232 @@ describe('VueTypes', () => {
       expect(validator(Infinity)).toBe(false)
       expect(validator(0.1)).toBe(false)
     })
+
+    describe('refinements', () => {
+      let onWarn
+
+      beforeEach(() => {
+        onWarn = expect.createSpy()
+        VueTypes.config.onWarn = onWarn
+      })
+
+      afterEach(() => {
+        VueTypes.config.onWarn = null
+      })
+
+      it('should provide number refinements on top of the integer check', () => {
+        const validator = forceNoContext(
+          VueTypes.integer.range(1, 10).multipleOf(2).validator,
+        )
+        expect(validator(4)).toBe(true)
+        expect(validator(12)).toBe(false)
+        expect(validator(3)).toBe(false)
+        expect(validator(4.5)).toBe(false)
+
+        expect(onWarn.calls.map(({ arguments: args }) => args[0])).toEqual([
+          'integer - value should be between 1 and 10',
+          'integer - value should be a multiple of 2',
+          'integer - value "4.5" should be an integer',
+        ])
+      })
+    })
+  })
+
+  describe('`.date`', () => {
+    it('should match an object with type and validator, but not default', () => {
+      expect(VueTypes.date).toMatch({ type: Date, validator: Function })
+      expect(VueTypes.date.default).toBe(undefined)
+    })
+
+    it('should add a `required` flag', () => {
+      checkRequired(VueTypes.date)
+    })
+
+    it('should set a factory default when passed a date', () => {
+      const date = new Date(2020, 0, 1)
+      const { default: def } = VueTypes.date.def(date)
+
+      expect(def).toBeA(Function)
+      expect(def()).toEqual(date)
+      expect(def()).toNotBe(date)
+    })
+
+    it('should use the sensible default, if any', () => {
+      const date = new Date(2020, 0, 1)
+      VueTypes.sensibleDefaults = { date: () => date }
+      expect(VueTypes.date.default()).toBe(date)
+      VueTypes.sensibleDefaults = true
+    })
+
+    it('should reject invalid dates', () => {
+      const validator = forceNoContext(VueTypes.date.validator)
+      expect(validator(new Date())).toBe(true)
+      expect(validator(new Date('not a date'))).toBe(false)
+      expect(VueTypes.utils.validate('2020-01-01', VueTypes.date)).toBe(false)
+    })
+
+    describe('refinements', () => {
+      let onWarn
+
+      beforeEach(() => {
+        onWarn = expect.createSpy()
+        VueTypes.config.onWarn = onWarn
+      })
+
+      afterEach(() => {
+        VueTypes.config.onWarn = null
+      })
+
+      it('should provide `min` and `max` refinements', () => {
+        const validator = forceNoContext(
+          VueTypes.date
+            .min('2020-01-01T00:00:00Z')
+            .max(new Date(Date.UTC(2021, 0))).validator,
+        )
+        expect(validator(new Date(Date.UTC(2020, 5)))).toBe(true)
+        expect(validator(new Date(Date.UTC(2019, 5)))).toBe(false)
+        expect(validator(new Date(Date.UTC(2021, 5)))).toBe(false)
+        expect(validator(new Date('not a date'))).toBe(false)
+
+        expect(onWarn.calls.map(({ arguments: args }) => args[0])).toEqual([
+          'date - value should be on or after 2020-01-01T00:00:00.000Z',
+          'date - value should be on or before 2021-01-01T00:00:00.000Z',
+          'date - value "Invalid Date" should be a valid date',
+        ])
+      })
+
+      it('should throw when passed an invalid date', () => {
+        expect(() => VueTypes.date.min('nope')).toThrow(
+          /\[VueTypes error\]: You must provide a valid date/,
+        )
+        expect(() => VueTypes.date.max(new Date('nope'))).toThrow(TypeError)
+      })
+    })
+  })
+
+  describe('`.isoDateString`', () => {
+    it('should match an object with type and validator, but not default', () => {
+      expect(VueTypes.isoDateString).toMatch({
+        type: String,
+        validator: Function,
+      })
+      expect(VueTypes.isoDateString.default).toBe(undefined)
+    })
+
+    it('should add a `required` flag', () => {
+      checkRequired(VueTypes.isoDateString)
+    })
+
+    it('should use the sensible default, if any', () => {
+      VueTypes.sensibleDefaults = { isoDateString: '2020-01-01' }
+      expect(VueTypes.isoDateString.default).toBe('2020-01-01')
+      VueTypes.sensibleDefaults = true
+    })
+
+    it('should validate ISO 8601 date strings', () => {
+      const validator = forceNoContext(VueTypes.isoDateString.validator)
+      expect(validator('2020-01-31')).toBe(true)
+      expect(validator('2020-01-31T10:30:00Z')).toBe(true)
+      expect(validator('2020-01-31T10:30:00.123+02:00')).toBe(true)
+      expect(validator('2020-02-30')).toBe(false)
+      expect(validator('31/01/2020')).toBe(false)
+    })
+  })
+
+  describe('`.component`', () => {
+    it('should match an object with type and validator, but not default', () => {
+      expect(VueTypes.component).toMatch({
+        type: [Object, Function],
+        validator: Function,
+      })
+      expect(VueTypes.component.default).toBe(undefined)
+    })
+
+    it('should add a `required` flag', () => {
+      checkRequired(VueTypes.component)
+    })
+
+    it('should accept options objects, constructors and async factories', () => {
+      const validator = forceNoContext(VueTypes.component.validator)
+      expect(validator({ render: (h) => h('div') })).toBe(true)
+      expect(validator({ template: '<div />' })).toBe(true)
+      expect(validator({ functional: true, render: noop })).toBe(true)
+      expect(validator(Vue.extend({ name: 'Child' }))).toBe(true)
+      expect(validator(() => Promise.resolve({ template: '<div />' }))).toBe(
+        true,
+      )
+    })
+
+    it('should reject objects without component options', () => {
+      const validator = forceNoContext(VueTypes.component.validator)
+      expect(validator({ name: 'Child' })).toBe(false)
+      expect(VueTypes.utils.validate('div', VueTypes.component)).toBe(false)
+    })
+  })
+
+  describe('`.vnode`', () => {
+    const h = new Vue().$createElement
+
+    it('should match an object with validator, but not type and default', () => {
+      expect(VueTypes.vnode).toMatch({ type: null, validator: Function })
+      expect(VueTypes.vnode.default).toBe(undefined)
+    })
+
+    it('should add a `required` flag', () => {
+      checkRequired(VueTypes.vnode)
+    })
+
+    it('should accept VNodes and arrays of VNodes', () => {
+      const validator = forceNoContext(VueTypes.vnode.validator)
+      expect(validator(h('div'))).toBe(true)
+      expect(validator([h('div'), h('span', 'text')])).toBe(true)
+      expect(validator([])).toBe(true)
+    })
+
+    it('should reject other values', () => {
+      const validator = forceNoContext(VueTypes.vnode.validator)
+      expect(validator({ tag: 'div' })).toBe(false)
+      expect(validator([h('div'), 'text'])).toBe(false)
+      expect(validator(null)).toBe(false)
+    })
+  })
+
+  describe('`.listener`', () => {
+    it('should match an object with type and validator, but not default', () => {
+      expect(VueTypes.listener).toMatch({
+        type: [Function, Array],
+        validator: Function,
+      })
+      expect(VueTypes.listener.default).toBe(undefined)
+    })
+
+    it('should add a `required` flag', () => {
+      checkRequired(VueTypes.listener)
+    })
+
+    it('should accept functions and arrays of functions', () => {
+      const validator = forceNoContext(VueTypes.listener.validator)
+      expect(validator(noop)).toBe(true)
+      expect(validator([noop, () => {}])).toBe(true)
+      expect(validator([noop, 'handler'])).toBe(false)
+      expect(VueTypes.utils.validate({}, VueTypes.listener)).toBe(false)
+    })
+  })
+
+  describe('`.slot`', () => {
+    it('should match an object with type, but not default', () => {
+      expect(VueTypes.slot.type).toBe(Function)
+      expect(VueTypes.slot.default).toBe(undefined)
+    })
+
+    it('should add a `required` flag', () => {
+      checkRequired(VueTypes.slot)
+    })
+
+    it('should accept functions', () => {
+      expect(VueTypes.utils.validate(() => [], VueTypes.slot)).toBe(true)
+      expect(VueTypes.utils.validate([], VueTypes.slot)).toBe(false)
+    })
   })
 
   describe('symbol', () => {
@@ -308,6 +749,134 @@ describe('VueTypes', () => {
       const myType2 = VueTypes.oneOf([null])
       expect(myType2.type).toBe(null)
     })
+
+    it('should warn object options readably', () => {
+      const { errors } = VueTypes.utils.check(
+        'x',
+        VueTypes.oneOf(['a', { w: 16, h: 9 }]),
+      )
+      expect(errors[0].message).toInclude(
+        'oneOf - value should be one of "a", {"w":16,"h":9}',
+      )
+    })
+
+    it('should throw if the `compare` option is not valid', () => {
+      expect(() => VueTypes.oneOf([1], { compare: 'loose' })).toThrow(TypeError)
+    })
+
+    it('should compare object and array options deeply in `deep` mode', () => {
+      const myType = VueTypes.oneOf([{ w: 16, h: 9 }, [1, 2]], {
+        compare: 'deep',
+      })
+      const validator = forceNoContext(myType.validator)
+
+      expect(myType.type).toEqual([Object, Array])
+      expect(validator({ w: 16, h: 9 })).toBe(true)
+      expect(validator([1, 2])).toBe(true)
+      expect(validator({ w: 4, h: 3 })).toBe(false)
+      expect(myType.def({ w: 16, h: 9 }).default()).toEqual({ w: 16, h: 9 })
+    })
+
+    it('should compare strings ignoring case in `caseInsensitive` mode', () => {
+      const myType = VueTypes.oneOf(['left', 'right', 1], {
+        compare: 'caseInsensitive',
+      })
+      const validator = forceNoContext(myType.validator)
+
+      expect(validator('LEFT')).toBe(true)
+      expect(validator(1)).toBe(true)
+      expect(validator('center')).toBe(false)
+    })
+
+    it('should accept a custom compare function', () => {
+      const compare = expect
+        .createSpy()
+        .andCall((option, value) => option === Number(value))
+      const validator = forceNoContext(
+        VueTypes.oneOf([1, 2], { compare }).validator,
+      )
+
+      expect(validator('2')).toBe(true)
+      expect(compare).toHaveBeenCalledWith(1, '2')
+      expect(validator('3')).toBe(false)
+    })
+  })
+
+  describe('`.literal`', () => {
+    it('should have the value constructor as `type`', () => {
+      expect(VueTypes.literal('a').type).toEqual([String])
+      expect(VueTypes.literal(null).type).toBe(null)
+    })
+
+    it('should add a `required` flag', () => {
+      checkRequired(VueTypes.literal('a'))
+    })
+
+    it('should validate just the passed-in value', () => {
+      const validator = forceNoContext(VueTypes.literal(1).validator)
+      expect(validator(1)).toBe(true)
+      expect(validator(2)).toBe(false)
+      expect(validator('1')).toBe(false)
+    })
+
+    it('should warn the expected value', () => {
+      const { errors } = VueTypes.utils.check('b', VueTypes.literal('a'))
+      expect(errors[0].message).toInclude('literal - value should be "a"')
+    })
+  })
+
+  describe('`.enumOf`', () => {
+    const Direction = { Up: 0, Down: 1, 0: 'Up', 1: 'Down' }
+    const Color = { Red: 'red', Green: 'green' }
+
+    it('should throw if argument is not an object', () => {
+      expect(() => VueTypes.enumOf(['a'])).toThrow(TypeError)
+    })
+
+    it('should have the values constructors as `type`', () => {
+      expect(VueTypes.enumOf(Color).type).toEqual([String])
+      expect(VueTypes.enumOf(Direction).type).toEqual([Number])
+    })
+
+    it('should add a `required` flag', () => {
+      checkRequired(VueTypes.enumOf(Color))
+    })
+
+    it('should validate the object values', () => {
+      const validator = forceNoContext(VueTypes.enumOf(Color).validator)
+      expect(validator('red')).toBe(true)
+      expect(validator('Red')).toBe(false)
+    })
+
+    it('should skip numeric enums reverse mappings', () => {
+      const validator = forceNoContext(VueTypes.enumOf(Direction).validator)
+      expect(validator(1)).toBe(true)
+      expect(validator('Up')).toBe(false)
+    })
+
+    it('should have a `keys` flag that validates the object keys', () => {
+      const customType = VueTypes.enumOf(Direction)
+      const keysType = customType.keys
+      const validator = forceNoContext(keysType.validator)
+
+      expect(keysType).toNotBe(customType)
+      expect(keysType.type).toBe(String)
+      expect(validator('Up')).toBe(true)
+      expect(validator('0')).toBe(false)
+      expect(validator(0)).toBe(false)
+      expect(VueTypes.utils.validate(0, customType)).toBe(true)
+    })
+
+    it('should warn the allowed values', () => {
+      const { errors } = VueTypes.utils.check('blue', VueTypes.enumOf(Color))
+      expect(errors[0].message).toInclude(
+        'enumOf - value should be one of "red", "green"',
+      )
+      expect(
+        VueTypes.utils.check('blue', VueTypes.enumOf(Color).keys).errors[0]
+          .message,
+      ).toInclude('enumOf - value should be one of "Red", "Green"')
+    })
   })
 
   describe('`.instanceOf`', () => {
@@ -345,6 +914,142 @@ describe('VueTypes', () => {
     })
   })
 
+  describe('`.allOf`', () => {
+    it('should throw if argument is not an array', () => {
+      expect(() => VueTypes.allOf(Number)).toThrow(TypeError)
+    })
+
+    it('should add a `required` flag', () => {
+      checkRequired(VueTypes.allOf([Number, VueTypes.integer]))
+    })
+
+    it('should use the native type shared by every member', () => {
+      expect(VueTypes.allOf([Number, VueTypes.integer]).type).toBe(Number)
+      expect(VueTypes.allOf([Number, String]).type).toBe(null)
+      expect(VueTypes.allOf([VueTypes.custom(() => true)]).type).toBe(null)
+    })
+
+    it('should validate the value against every member', () => {
+      const even = VueTypes.custom((v) => v % 2 === 0)
+      const positive = VueTypes.custom((v) => v > 0)
+      const validator = forceNoContext(
+        VueTypes.allOf([VueTypes.number, even, positive]).validator,
+      )
+
+      expect(validator(2)).toBe(true)
+      expect(validator(3)).toBe(false)
+      expect(validator(-2)).toBe(false)
+      expect(validator('2')).toBe(false)
+    })
+
+    it('should report errors from every failing member', () => {
+      const { errors } = VueTypes.utils.check(
+        -3,
+        VueTypes.allOf([
+          VueTypes.number.positive,
+          VueTypes.custom(function even(v) {
+            return v % 2 === 0
+          }),
+        ]),
+      )
+
+      expect(errors.map(({ message }) => message)).toEqual([
+        'number - value should be positive',
+        'even - custom validation failed',
+      ])
+    })
+
+    describe('with shapes', () => {
+      const base = VueTypes.shape({
+        id: VueTypes.integer.isRequired,
+        label: String,
+      })
+      const mixin = VueTypes.shape({
+        label: VueTypes.string.nonEmpty.isRequired,
+        active: Boolean,
+      })
+      let onWarn
+
+      beforeEach(() => {
+        onWarn = expect.createSpy()
+        VueTypes.config.onWarn = onWarn
+      })
+
+      afterEach(() => {
+        VueTypes.config.onWarn = null
+      })
+
+      it('should return a shape with the union of keys', () => {
+        const customType = VueTypes.allOf([base, mixin])
+        const validator = forceNoContext(customType.validator)
+
+        expect(customType._vueTypes_name).toBe('shape')
+        expect(validator({ id: 1, label: 'a', active: true })).toBe(true)
+        expect(validator({ id: 1, label: 'a', other: true })).toBe(false)
+      })
+
+      it('should check keys against every definition', () => {
+        const validator = forceNoContext(
+          VueTypes.allOf([base, mixin]).validator,
+        )
+
+        expect(validator({ id: 1 })).toBe(false)
+        expect(validator({ id: 1, label: '' })).toBe(false)
+      })
+
+      it('should be loose when every member is loose', () => {
+        const value = { id: 1, label: 'a', other: true }
+
+        expect(
+          VueTypes.utils.validate(value, VueTypes.allOf([base.loose, mixin])),
+        ).toBe(false)
+        expect(
+          VueTypes.utils.validate(
+            value,
+            VueTypes.allOf([base.loose, mixin.loose]),
+          ),
+        ).toBe(true)
+        expect(
+          VueTypes.utils.validate(value, VueTypes.allOf([base, mixin]).loose),
+        ).toBe(true)
+      })
+
+      it('should run the validators of every member', () => {
+        const customType = VueTypes.allOf([
+          VueTypes.shape({ a: Number }).refine((v) => v.a > 0, 'a < 1'),
+          VueTypes.shape({ b: Number }).refine((v) => !v.b, 'b is set'),
+        ])
+        const validator = forceNoContext(customType.validator)
+
+        expect(validator({ a: 1 })).toBe(true)
+        expect(validator({ a: -1, b: 1 })).toBe(false)
+
+        expect(onWarn.calls.map(({ arguments: args }) => args[0])).toEqual([
+          'shape - a < 1',
+          'shape - b is set',
+        ])
+      })
+
+      it('should keep the default values and flags of the members', () => {
+        const customType = VueTypes.allOf([
+          base.def({ id: 1 }).nullable,
+          mixin.def({ label: 'a' }).isRequired.nullable,
+        ])
+
+        expect(customType.required).toBe(true)
+        expect(customType.default()).toEqual({ id: 1, label: 'a' })
+        expect(VueTypes.utils.validate(null, customType)).toBe(true)
+        expect(VueTypes.allOf([base, mixin])).toExcludeKeys([
+          'required',
+          'default',
+        ])
+        expect(
+          VueTypes.utils.validate(null, VueTypes.allOf([base.nullable, mixin])),
+        ).toBe(false)
+      })
+    })
+  })
+
   describe('`.arrayOf`', () => {
     it('should have a type `Array`', () => {
       const customType = VueTypes.arrayOf(Number)
@@ -391,21 +1096,262 @@ describe('VueTypes', () => {
     })
   })
 
-  describe('`.objectOf`', () => {
-    it('should have a type `Object`', () => {
-      const customType = VueTypes.objectOf(Number)
-      expect(customType.type).toBe(Object)
+  describe('`.mapOf`', () => {
+    it('should have a type `Map`', () => {
+      const customType = VueTypes.mapOf(String, Number)
+      expect(customType.type).toBe(Map)
+      expect(customType._vueTypes_name).toBe('mapOf')
     })
 
     it('should add a `required` flag', () => {
-      const customType = VueTypes.objectOf(Number)
-      checkRequired(customType)
+      checkRequired(VueTypes.mapOf(String, Number))
     })
 
-    it('should provide a method to set a custom default. `default` value must be a function', () => {
-      const customType = VueTypes.objectOf(Number)
-      const def = customType.def({ id: 10, age: 30 }).default
-      expect(def).toMatch(Function)
+    it('should validate keys and values', () => {
+      const customType = VueTypes.mapOf(VueTypes.integer, VueTypes.string)
+      const validator = forceNoContext(customType.validator)
+      expect(validator(new Map([[1, 'a'], [2, 'b']]))).toBe(true)
+      expect(validator(new Map([[1.5, 'a']]))).toBe(false)
+      expect(validator(new Map([[1, 2]]))).toBe(false)
+    })
+
+    it('should NOT accept values other than maps', () => {
+      expect(VueTypes.utils.validate({}, VueTypes.mapOf(String, Number))).toBe(
+        false,
+      )
+    })
+
+    it('should report errors at the entry position', () => {
+      const key = {}
+      const customType = VueTypes.mapOf(
+        VueTypes.oneOfType([String, Number, Object]),
+        VueTypes.number,
+      )
+      const { errors } = VueTypes.utils.check(
+        new Map([['a', 1], [0, 'x'], [key, 'y']]),
+        customType,
+      )
+      expect(errors.map(({ path }) => path)).toEqual(['[1]', '[2]'])
+    })
+
+    it('should report bad keys', () => {
+      const { errors } = VueTypes.utils.check(
+        new Map([['x', 1]]),
+        VueTypes.mapOf(VueTypes.oneOf(['a']), Number),
+      )
+      expect(errors.length).toBe(1)
+      expect(errors[0].message).toInclude('mapOf - key "x" is not valid')
+      expect(errors[0]).toInclude({
+        path: '[0]',
+        expected: 'oneOf',
+        value: 'x',
+      })
+    })
+  })
+
+  describe('`.setOf`', () => {
+    it('should have a type `Set`', () => {
+      const customType = VueTypes.setOf(Number)
+      expect(customType.type).toBe(Set)
+      expect(customType._vueTypes_name).toBe('setOf')
+    })
+
+    it('should add a `required` flag', () => {
+      checkRequired(VueTypes.setOf(Number))
+    })
+
+    it('should validate every value', () => {
+      const validator = forceNoContext(
+        VueTypes.setOf(VueTypes.integer).validator,
+      )
+      expect(validator(new Set([1, 2]))).toBe(true)
+      expect(validator(new Set([1, 2.5]))).toBe(false)
+    })
+
+    it('should NOT accept values other than sets', () => {
+      expect(VueTypes.utils.validate([1], VueTypes.setOf(Number))).toBe(false)
+    })
+
+    it('should report errors with the position of the value', () => {
+      const { errors } = VueTypes.utils.check(
+        new Set([1, 'a', 2, 'b']),
+        VueTypes.setOf(VueTypes.number),
+      )
+      expect(errors.map(({ path }) => path)).toEqual(['[1]', '[3]'])
+    })
+  })
+
+  describe('`.tuple`', () => {
+    it('should throw if argument is not an array', () => {
+      expect(() => VueTypes.tuple(Number)).toThrow(TypeError)
+    })
+
+    it('should have a type `Array`', () => {
+      const customType = VueTypes.tuple([Number, Number])
+      expect(customType.type).toBe(Array)
+    })
+
+    it('should add a `required` flag', () => {
+      checkRequired(VueTypes.tuple([Number, Number]))
+    })
+
+    it('should provide a method to set a custom default. `default` value must be a function', () => {
+      const customType = VueTypes.tuple([Number, String])
+      const def = customType.def([0, 'a']).default
+      expect(def).toMatch(Function)
+      expect(def()).toEqual([0, 'a'])
+    })
+
+    it('should NOT accept default values out of the allowed one', () => {
+      const customType = VueTypes.tuple([Number, String])
+      expect(customType.def(['a', 0])).toExcludeKey('default')
+    })
+
+    it('should validate the type of each item', () => {
+      const customType = VueTypes.tuple([VueTypes.number, VueTypes.string])
+      const validator = forceNoContext(customType.validator)
+
+      expect(validator([45.4, 'lat'])).toBe(true)
+      expect(validator(['lat', 45.4])).toBe(false)
+    })
+
+    it('should validate the length of the value', () => {
+      const customType = VueTypes.tuple([Number, Number])
+      const validator = forceNoContext(customType.validator)
+
+      expect(validator([0])).toBe(false)
+      expect(validator([0, 1, 2])).toBe(false)
+    })
+
+    it('should validate extra items against a rest type', () => {
+      const customType = VueTypes.tuple([String], VueTypes.integer)
+      const validator = forceNoContext(customType.validator)
+
+      expect(validator(['label'])).toBe(true)
+      expect(validator(['label', 1, 2])).toBe(true)
+      expect(validator(['label', 1, 2.5])).toBe(false)
+      expect(validator([])).toBe(false)
+    })
+
+    it('should report the index of failing items', () => {
+      const customType = VueTypes.tuple([Number, Number], String)
+      const { errors } = VueTypes.utils.check([0, '1', 'a', 2], customType)
+
+      expect(errors.map(({ path }) => path)).toEqual(['[1]', '[3]'])
+    })
+
+    it('should report length errors', () => {
+      const { errors } = VueTypes.utils.check(
+        [0],
+        VueTypes.tuple([Number, Number]),
+      )
+
+      expect(errors.length).toBe(1)
+      expect(errors[0]).toInclude({
+        path: '',
+        name: 'tuple',
+        message: 'tuple - value should have 2 items, got 1',
+      })
+    })
+  })
+
+  describe('`.discriminated`', () => {
+    let media
+
+    beforeEach(() => {
+      media = VueTypes.discriminated('kind', {
+        image: VueTypes.shape({
+          kind: String,
+          src: VueTypes.string.isRequired,
+        }),
+        video: VueTypes.shape({
+          kind: String,
+          url: VueTypes.string.isRequired,
+          autoplay: Boolean,
+        }),
+      })
+    })
+
+    it('should throw if arguments are not valid', () => {
+      expect(() => VueTypes.discriminated(1, {})).toThrow(TypeError)
+      expect(() => VueTypes.discriminated('kind', [])).toThrow(TypeError)
+    })
+
+    it('should have a type `Object`', () => {
+      expect(media.type).toBe(Object)
+    })
+
+    it('should add a `required` flag', () => {
+      checkRequired(media)
+    })
+
+    it('should validate the value against the branch matching the tag', () => {
+      const validator = forceNoContext(media.validator)
+
+      expect(validator({ kind: 'image', src: 'a.jpg' })).toBe(true)
+      expect(validator({ kind: 'video', url: 'a.mp4', autoplay: true })).toBe(
+        true,
+      )
+      expect(validator({ kind: 'image', url: 'a.mp4' })).toBe(false)
+      expect(validator({ kind: 'video', url: 1 })).toBe(false)
+    })
+
+    it('should report errors from the matching branch only', () => {
+      const { errors } = VueTypes.utils.check(
+        { kind: 'video', url: 1, autoplay: true },
+        media,
+      )
+
+      expect(errors.length).toBe(1)
+      expect(errors[0]).toInclude({
+        message: 'string - value "1" should be of type "String"',
+        path: 'url',
+      })
+    })
+
+    it('should report unknown tags', () => {
+      const { errors } = VueTypes.utils.check({ kind: 'audio' }, media)
+
+      expect(errors).toEqual([
+        {
+          message:
+            'discriminated - value "audio" should be one of "image", "video"',
+          path: 'kind',
+          name: 'discriminated',
+          expected: '"image", "video"',
+          value: 'audio',
+        },
+      ])
+      expect(VueTypes.utils.validate({}, media)).toBe(false)
+    })
+
+    it('should work as a nested type', () => {
+      const gallery = VueTypes.arrayOf(media)
+      const { errors } = VueTypes.utils.check(
+        [{ kind: 'image', src: 'a.jpg' }, { kind: 'image' }],
+        gallery,
+      )
+
+      expect(errors.length).toBe(1)
+      expect(errors[0].path).toBe('[1].src')
+    })
+  })
+
+  describe('`.objectOf`', () => {
+    it('should have a type `Object`', () => {
+      const customType = VueTypes.objectOf(Number)
+      expect(customType.type).toBe(Object)
+    })
+
+    it('should add a `required` flag', () => {
+      const customType = VueTypes.objectOf(Number)
+      checkRequired(customType)
+    })
+
+    it('should provide a method to set a custom default. `default` value must be a function', () => {
+      const customType = VueTypes.objectOf(Number)
+      const def = customType.def({ id: 10, age: 30 }).default
+      expect(def).toMatch(Function)
       expect(def()).toEqual({ id: 10, age: 30 })
     })
 
@@ -443,6 +1389,82 @@ describe('VueTypes', () => {
     })
   })
 
+  describe('`.record`', () => {
+    it('should have a type `Object`', () => {
+      const customType = VueTypes.record(String, Number)
+      expect(customType.type).toBe(Object)
+      expect(customType._vueTypes_name).toBe('record')
+    })
+
+    it('should add a `required` flag', () => {
+      checkRequired(VueTypes.record(String, Number))
+    })
+
+    it('should validate keys against a `oneOf` type', () => {
+      const customType = VueTypes.record(
+        VueTypes.oneOf(['en', 'it']),
+        VueTypes.string,
+      )
+      const validator = forceNoContext(customType.validator)
+      expect(validator({ en: 'Hello', it: 'Ciao' })).toBe(true)
+      expect(validator({ en: 'Hello', de: 'Hallo' })).toBe(false)
+    })
+
+    it('should validate keys against a refined string type', () => {
+      const customType = VueTypes.record(
+        VueTypes.string.pattern(/^[0-9a-f]{8}$/),
+        Number,
+      )
+      const validator = forceNoContext(customType.validator)
+      expect(validator({ '0a1b2c3d': 1 })).toBe(true)
+      expect(validator({ xyz: 1 })).toBe(false)
+    })
+
+    it('should validate keys against a custom type', () => {
+      const customType = VueTypes.record(
+        VueTypes.custom((key) => key.length === 2),
+        Number,
+      )
+      const validator = forceNoContext(customType.validator)
+      expect(validator({ ab: 1 })).toBe(true)
+      expect(validator({ abc: 1 })).toBe(false)
+    })
+
+    it('should validate values', () => {
+      const customType = VueTypes.record(String, VueTypes.integer)
+      const validator = forceNoContext(customType.validator)
+      expect(validator({ a: 1 })).toBe(true)
+      expect(validator({ a: 1.5 })).toBe(false)
+    })
+
+    it('should report bad keys and values with their path', () => {
+      const customType = VueTypes.record(
+        VueTypes.oneOf(['en', 'it']),
+        VueTypes.string,
+      )
+      const { errors } = VueTypes.utils.check(
+        { en: 1, de: 'Hallo' },
+        customType,
+      )
+      expect(errors.map(({ path }) => path)).toEqual(['en', 'de'])
+      expect(errors[1].message).toInclude('record - key "de" is not valid')
+      expect(errors[1]).toInclude({ expected: 'oneOf', value: 'de' })
+    })
+
+    it('should be used by `withDefaults` and `strip`', () => {
+      const customType = VueTypes.record(
+        String,
+        VueTypes.shape({ size: VueTypes.number.def(1) }),
+      )
+      expect(
+        VueTypes.utils.withDefaults({ a: {}, b: { size: 2 } }, customType),
+      ).toEqual({ a: { size: 1 }, b: { size: 2 } })
+      expect(
+        VueTypes.utils.strip({ a: { size: 2, x: 1 } }, customType),
+      ).toEqual({ a: { size: 2 } })
+    })
+  })
+
   describe('`.shape`', () => {
     let shape
 
@@ -567,147 +1589,1065 @@ describe('VueTypes', () => {
       expect(customType.def(def)).toExcludeKey('default')
     })
 
-    it('should allow required keys in shape (simple)', () => {
+    it('should allow required keys in shape (simple)', () => {
+      const customType = VueTypes.shape({
+        id: VueTypes.integer.isRequired,
+        name: String,
+      })
+      const validator = forceNoContext(customType.validator)
+
+      expect(
+        validator({
+          name: 'John',
+        }),
+      ).toBe(false)
+
+      expect(
+        validator({
+          id: 10,
+        }),
+      ).toBe(true)
+    })
+
+    it('should allow required keys in shape (with a null type required)', () => {
+      const customType = VueTypes.shape({
+        myKey: VueTypes.any.isRequired,
+        name: null,
+      })
+      const validator = forceNoContext(customType.validator)
+
+      expect(
+        validator({
+          name: 'John',
+        }),
+      ).toBe(false)
+
+      expect(
+        validator({
+          myKey: null,
+        }),
+      ).toBe(true)
+    })
+
+    it('Should accept properties explicitly set to undefined', () => {
+      const customType = VueTypes.shape({
+        message: VueTypes.string,
+      })
+      const validator = forceNoContext(customType.validator)
+
+      expect(
+        validator({
+          message: undefined,
+        }),
+      ).toBe(true)
+    })
+  })
+
+  describe('`.shape` composition helpers', () => {
+    let user
+
+    beforeEach(() => {
+      user = VueTypes.shape({
+        id: VueTypes.integer.isRequired,
+        name: { type: String, required: true },
+        email: String,
+      })
+    })
+
+    it('should keep the field map', () => {
+      expect(user._vueTypes_fields).toIncludeKeys(['id', 'name', 'email'])
+      expect(Object.keys(user)).toExclude('_vueTypes_fields')
+    })
+
+    it('`extend` should return a new shape with additional fields', () => {
+      const admin = user.extend({ role: VueTypes.oneOf(['admin']).isRequired })
+      const validator = forceNoContext(admin.validator)
+
+      expect(admin).toNotBe(user)
+      expect(admin._vueTypes_name).toBe('shape')
+      expect(validator({ id: 1, name: 'John', role: 'admin' })).toBe(true)
+      expect(validator({ id: 1, name: 'John' })).toBe(false)
+      expect(VueTypes.utils.validate({ id: 1, name: 'John' }, user)).toBe(true)
+    })
+
+    it('`extend` should override existing fields', () => {
+      const customType = user.extend({ id: String })
+
+      expect(
+        VueTypes.utils.validate({ id: 'a', name: 'John' }, customType),
+      ).toBe(true)
+    })
+
+    it('`pick` should return a new shape with the passed-in fields', () => {
+      const validator = forceNoContext(user.pick(['id', 'email']).validator)
+
+      expect(validator({ id: 1 })).toBe(true)
+      expect(validator({ id: 1, name: 'John' })).toBe(false)
+    })
+
+    it('`omit` should return a new shape without the passed-in fields', () => {
+      const validator = forceNoContext(user.omit(['id']).validator)
+
+      expect(validator({ name: 'John' })).toBe(true)
+      expect(validator({ id: 1, name: 'John' })).toBe(false)
+    })
+
+    it('`partial` should make every field optional', () => {
+      const customType = user.partial
+      const validator = forceNoContext(customType.validator)
+
+      expect(validator({})).toBe(true)
+      expect(validator({ id: 1.5 })).toBe(false)
+      expect(user._vueTypes_fields.id.required).toBe(true)
+    })
+
+    it('`allRequired` should make every field required', () => {
+      const validator = forceNoContext(user.allRequired.validator)
+
+      expect(validator({ id: 1, name: 'John', email: 'a@b.c' })).toBe(true)
+      expect(validator({ id: 1, name: 'John' })).toBe(false)
+    })
+
+    it('should keep the validators added with `refine`', () => {
+      const named = user.refine(
+        (value) => value.name !== 'admin',
+        'reserved name',
+      )
+      const value = { id: 1, name: 'admin' }
+
+      expect(VueTypes.utils.validate(value, user.pick(['id', 'name']))).toBe(
+        true,
+      )
+      ;[
+        named.extend({ role: String }),
+        named.pick(['id', 'name']),
+        named.omit(['email']),
+        named.partial,
+        named.allRequired.partial,
+      ].forEach((type) => {
+        expect(VueTypes.utils.validate(value, type)).toBe(false)
+      })
+      expect(VueTypes.utils.validate({ id: 1 }, named.pick(['id']))).toBe(true)
+    })
+
+    it('should keep the `required` and `nullable` flags', () => {
+      const base = user.isRequired.nullable
+      ;[
+        base.extend({ role: String }),
+        base.pick(['id']),
+        base.omit(['id']),
+        base.partial,
+        base.allRequired,
+      ].forEach((type) => {
+        expect(type.required).toBe(true)
+        expect(type._vueTypes_nullable).toBe(true)
+        expect(VueTypes.utils.validate(null, type)).toBe(true)
+      })
+      expect(user.pick(['id']).required).toNotExist()
+    })
+
+    it('should not keep the default value', () => {
+      const derived = user.def({ id: 1 }).pick(['name'])
+      expect(derived).toExcludeKey('default')
+    })
+
+    it('should keep the loose mode', () => {
+      const value = { id: 1, other: true }
+
+      expect(VueTypes.utils.validate(value, user.pick(['id']))).toBe(false)
+      ;[
+        user.loose.pick(['id']),
+        user.loose.omit(['name']),
+        user.loose.extend({}).partial,
+        user.loose.partial,
+      ].forEach((type) => {
+        expect(VueTypes.utils.validate(value, type)).toBe(true)
+      })
+      expect(
+        VueTypes.utils.validate(
+          { id: 1, name: 'John', email: 'a@b.c', other: true },
+          user.loose.allRequired,
+        ),
+      ).toBe(true)
+    })
+  })
+
+  describe('`.shape` `exact` mode', () => {
+    let user
+
+    beforeEach(() => {
+      user = VueTypes.shape({
+        name: VueTypes.string.isRequired,
+        email: String,
+        nickname: VueTypes.string.nullable,
+        bio: VueTypes.string.isRequired.optional,
+      })
+    })
+
+    it('should return a new shape', () => {
+      expect(user.exact).toNotBe(user)
+      expect(user.exact._vueTypes_isExact).toBe(true)
+      expect(user._vueTypes_isExact).toBe(false)
+      expect(Object.keys(user.exact)).toExclude('_vueTypes_isExact')
+    })
+
+    it('should allow `undefined` values by default', () => {
+      const validator = forceNoContext(user.validator)
+      expect(validator({ name: 'John', email: undefined })).toBe(true)
+    })
+
+    it('should reject required keys set to `undefined`', () => {
+      const validator = forceNoContext(user.exact.validator)
+      expect(validator({ name: 'John' })).toBe(true)
+      expect(validator({ name: undefined })).toBe(false)
+    })
+
+    it('should reject optional keys set to `undefined`', () => {
+      const validator = forceNoContext(user.exact.validator)
+      expect(validator({ name: 'John', email: 'a@b.c' })).toBe(true)
+      expect(validator({ name: 'John', email: undefined })).toBe(false)
+    })
+
+    it('should allow `undefined` on `nullable` and `optional` keys', () => {
+      const validator = forceNoContext(user.exact.validator)
+      expect(
+        validator({ name: 'John', nickname: undefined, bio: undefined }),
+      ).toBe(true)
+    })
+
+    it('should report the path of the `undefined` key', () => {
+      const { errors } = VueTypes.utils.check(
+        { name: undefined, email: undefined },
+        user.exact,
+      )
+      expect(errors.map(({ path }) => path)).toEqual(['name', 'email'])
+      expect(errors[0].message).toInclude(
+        'shape - required property "name" is undefined',
+      )
+      expect(errors[1].message).toInclude(
+        'shape - property "email" should not be undefined',
+      )
+    })
+
+    it('`partial` should handle `undefined` the same way on every field', () => {
+      const customType = VueTypes.shape({
+        a: VueTypes.number.isRequired,
+        b: VueTypes.number,
+      }).exact.partial
+      const validator = forceNoContext(customType.validator)
+
+      expect(validator({})).toBe(true)
+      expect(validator({ a: undefined })).toBe(false)
+      expect(validator({ b: undefined })).toBe(false)
+      expect(customType._vueTypes_fields.a.required).toNotExist()
+      expect(customType._vueTypes_fields.a._vueTypes_optional).toNotExist()
+    })
+
+    it('should work along with the loose mode', () => {
+      const validator = forceNoContext(user.loose.exact.validator)
+      expect(validator({ name: 'John', other: undefined })).toBe(true)
+      expect(validator({ name: 'John', email: undefined })).toBe(false)
+    })
+
+    it('should be kept by composition helpers', () => {
+      ;[
+        user.exact.pick(['email']),
+        user.exact.omit(['name']),
+        user.exact.extend({}),
+        user.exact.partial,
+        VueTypes.allOf([user.exact, VueTypes.shape({ age: Number })]),
+      ].forEach((type) => {
+        expect(VueTypes.utils.validate({ email: undefined }, type)).toBe(false)
+      })
+    })
+  })
+
+  describe('`.shape` `applyDefaults` modifier', () => {
+    it('should return a new shape', () => {
+      const customType = VueTypes.shape({ a: VueTypes.number.def(1) })
+      expect(customType.applyDefaults).toNotBe(customType)
+      expect(customType).toExcludeKey('default')
+    })
+
+    it('should set a default built from the fields defaults', () => {
+      const customType = VueTypes.shape({
+        enabled: VueTypes.bool.def(false),
+        retries: VueTypes.integer.def(3),
+        label: String,
+        nested: VueTypes.shape({ size: VueTypes.number.def(10) }).applyDefaults,
+      }).applyDefaults
+
+      expect(customType.default).toBeA(Function)
+      expect(customType.default()).toEqual({
+        enabled: false,
+        retries: 3,
+        nested: { size: 10 },
+      })
+      expect(customType.default()).toNotBe(customType.default())
+    })
+
+    it('should fill the shape default value', () => {
+      const customType = VueTypes.shape({
+        enabled: VueTypes.bool.def(false),
+        retries: VueTypes.integer.def(3),
+      }).def({ retries: 5 }).applyDefaults
+
+      expect(customType.default()).toEqual({ enabled: false, retries: 5 })
+    })
+  })
+
+  describe('`.shape` `defFromFields` modifier', () => {
+    const address = VueTypes.shape({
+      city: VueTypes.string.def('Rome'),
+      zip: VueTypes.string,
+    })
+
+    it('should return a new shape', () => {
+      expect(address.defFromFields).toNotBe(address)
+      expect(address).toExcludeKey('default')
+    })
+
+    it('should build a default factory from the fields defaults', () => {
+      const customType = VueTypes.shape({
+        name: VueTypes.string,
+        tags: VueTypes.arrayOf(String).def(['a']),
+        active: VueTypes.bool.def(false),
+        onSave: VueTypes.func.def(noop),
+        id: Number,
+        address: address.defFromFields,
+        billing: address.def({ zip: '00100' }),
+      }).defFromFields
+
+      expect(customType.default).toBeA(Function)
+      expect(customType.default()).toEqual({
+        name: '',
+        tags: ['a'],
+        active: false,
+        onSave: noop,
+        address: { city: 'Rome', zip: '' },
+        billing: { city: 'Rome', zip: '00100' },
+      })
+    })
+
+    it('should return a fresh object on each call', () => {
+      const customType = VueTypes.shape({
+        tags: VueTypes.arrayOf(String).def(['a']),
+        address: address.defFromFields,
+      }).defFromFields
+      const first = customType.default()
+      const second = customType.default()
+
+      expect(first).toNotBe(second)
+      expect(first.tags).toNotBe(second.tags)
+      expect(first.address).toNotBe(second.address)
+    })
+
+    it('should ignore the shape default value', () => {
+      expect(address.def({ city: 'Milan' }).defFromFields.default()).toEqual({
+        city: 'Rome',
+        zip: '',
+      })
+    })
+
+    it('should keep the loose mode', () => {
+      expect(address.loose.defFromFields._vueTypes_isLoose).toBe(true)
+    })
+
+    it('should build nested shapes without a default value', () => {
+      const customType = VueTypes.shape({
+        inner: VueTypes.shape({
+          q: VueTypes.number.def(2),
+          deep: VueTypes.shape({ r: VueTypes.bool.def(true) }).isRequired,
+        }),
+        billing: address.def({ zip: '00100' }),
+        missing: address.def(undefined),
+      }).defFromFields
+
+      expect(customType.default()).toEqual({
+        inner: { q: 2, deep: { r: true } },
+        billing: { city: 'Rome', zip: '00100' },
+        missing: { city: 'Rome', zip: '' },
+      })
+    })
+
+    it('should skip circular nested shapes', () => {
+      const node = VueTypes.shape({
+        name: VueTypes.string.def('root'),
+        parent: VueTypes.lazy(() => node),
+      })
+
+      expect(node.defFromFields.default()).toEqual({ name: 'root' })
+    })
+  })
+
+  describe('`.lazy`', () => {
+    let menuItem
+
+    beforeEach(() => {
+      menuItem = VueTypes.shape({
+        label: VueTypes.string.isRequired,
+        children: VueTypes.arrayOf(VueTypes.lazy(() => menuItem)),
+      })
+    })
+
+    it('should throw if argument is not a function', () => {
+      expect(() => VueTypes.lazy({})).toThrow(TypeError)
+    })
+
+    it('should add a `required` flag', () => {
+      checkRequired(VueTypes.lazy(() => VueTypes.string))
+    })
+
+    it('should resolve the type definition on first validation', () => {
+      const factory = expect.createSpy().andReturn(VueTypes.string)
+      const customType = VueTypes.lazy(factory)
+
+      expect(factory).toNotHaveBeenCalled()
+
+      const validator = forceNoContext(customType.validator)
+      expect(validator('a')).toBe(true)
+      expect(validator(1)).toBe(false)
+      expect(factory.calls.length).toBe(1)
+    })
+
+    it('should validate recursive shapes', () => {
+      const validator = forceNoContext(menuItem.validator)
+
+      expect(
+        validator({
+          label: 'root',
+          children: [
+            { label: 'a', children: [{ label: 'a.1', children: [] }] },
+            { label: 'b' },
+          ],
+        }),
+      ).toBe(true)
+
+      expect(
+        validator({
+          label: 'root',
+          children: [{ label: 'a', children: [{ label: 1 }] }],
+        }),
+      ).toBe(false)
+    })
+
+    it('should report the path of nested errors', () => {
+      const { errors } = VueTypes.utils.check(
+        { label: 'root', children: [{ label: 'a', children: [{}] }] },
+        menuItem,
+      )
+      expect(errors.length).toBe(1)
+      expect(errors[0].path).toBe('children[0].children[0].label')
+    })
+
+    it('should work with `objectOf` and `oneOfType`', () => {
+      const tree = VueTypes.objectOf(
+        VueTypes.oneOfType([Number, VueTypes.lazy(() => tree)]),
+      )
+      const validator = forceNoContext(tree.validator)
+
+      expect(validator({ a: 1, b: { c: 2, d: { e: 3 } } })).toBe(true)
+      expect(validator({ a: 1, b: { c: 2, d: { e: '3' } } })).toBe(false)
+    })
+
+    it('should NOT recurse forever on circular values', () => {
+      const value = { label: 'root', children: [] }
+      value.children.push(value)
+
+      expect(forceNoContext(menuItem.validator)(value)).toBe(true)
+
+      value.children.push({ label: 1 })
+      expect(forceNoContext(menuItem.validator)(value)).toBe(false)
+    })
+    it('should read the `required` flag of the resolved type in shapes', () => {
+      const customType = VueTypes.shape({
+        a: VueTypes.lazy(() => VueTypes.string.isRequired),
+      })
+      const validator = forceNoContext(customType.validator)
+
+      expect(validator({})).toBe(false)
+      expect(validator({ a: 'a' })).toBe(true)
+    })
+
+    it('should be resolved by `withDefaults` and `strip`', () => {
+      const item = VueTypes.shape({
+        label: VueTypes.string.def('item'),
+        children: VueTypes.arrayOf(VueTypes.lazy(() => item)),
+      })
+      const value = { children: [{ children: [{ id: 1 }], id: 2 }], id: 3 }
+
+      expect(VueTypes.utils.withDefaults(value, item)).toEqual({
+        label: 'item',
+        id: 3,
+        children: [
+          { label: 'item', id: 2, children: [{ label: 'item', id: 1 }] },
+        ],
+      })
+      expect(VueTypes.utils.strip(value, item)).toEqual({
+        children: [{ children: [{}] }],
+      })
+    })
+  })
+
+  describe('`.oneOfType`', () => {
+    let spy
+
+    class MyClass {
+      constructor(name) {
+        this.name = name
+      }
+    }
+
+    const nativeTypes = [Number, Array, MyClass]
+    const mixedTypes = [Number, VueTypes.array, VueTypes.integer]
+    const complexTypes = [
+      VueTypes.oneOf([0, 1, 'string']),
+      VueTypes.shape({ id: Number }),
+    ]
+
+    beforeEach(() => {
+      spy = expect.spyOn(VueTypes, 'custom').andCallThrough()
+    })
+
+    afterEach(() => {
+      spy.restore()
+    })
+
+    it('should add a `required` flag', () => {
+      const customType = VueTypes.oneOfType(nativeTypes)
+      checkRequired(customType)
+    })
+
+    it('should provide a method to set a custom default', () => {
+      const customType = VueTypes.oneOfType(nativeTypes)
+      expect(customType.def(1).default).toBe(1)
+    })
+
+    it('should NOT accept default values out of the allowed ones', () => {
+      const customType = VueTypes.oneOfType(nativeTypes)
+      expect(customType.def('test')).toExcludeKey('default')
+    })
+
+    it('should return a prop object with `type` as an array', () => {
+      const customType = VueTypes.oneOfType(nativeTypes)
+      expect(customType.type).toMatch(Array)
+    })
+
+    it('should NOT use the `custom` type creator', () => {
+      expect(spy.calls.length).toBe(0)
+    })
+
+    it('should use the custom type creator for mixed (native, VuePropTypes) options', () => {
+      const customType = VueTypes.oneOfType(mixedTypes)
+
+      expect(spy).toHaveBeenCalled()
+      expect(customType).toExcludeKey('type')
+    })
+
+    it('should validate custom types with complex shapes', () => {
+      const customType = VueTypes.oneOfType(complexTypes)
+      const validator = forceNoContext(customType.validator)
+
+      expect(validator(1)).toBe(true)
+
+      // validates types not values!
+      expect(validator(5)).toBe(true)
+
+      expect(validator({ id: 10 })).toBe(true)
+      expect(validator({ id: '10' })).toBe(false)
+    })
+
+    it('should validate multiple shapes', () => {
+      const customType = VueTypes.oneOfType([
+        VueTypes.shape({
+          id: Number,
+          name: VueTypes.string.isRequired,
+        }),
+        VueTypes.shape({
+          id: Number,
+          age: VueTypes.integer.isRequired,
+        }),
+        VueTypes.shape({}),
+      ])
+
+      const validator = forceNoContext(customType.validator)
+      expect(validator({ id: 1, name: 'John' })).toBe(true)
+      expect(validator({ id: 2, age: 30 })).toBe(true)
+      expect(validator({})).toBe(true)
+
+      expect(validator({ id: 2 })).toBe(false)
+    })
+  })
+
+  describe('immutable modifiers', () => {
+    it('`isRequired` should NOT alter the original type', () => {
+      const userShape = VueTypes.shape({ name: String })
+      const requiredShape = userShape.isRequired
+
+      expect(requiredShape).toNotBe(userShape)
+      expect(requiredShape.required).toBe(true)
+      expect(userShape).toExcludeKey('required')
+    })
+
+    it('`def` should NOT alter the original type', () => {
+      const baseType = VueTypes.oneOf(['a', 'b'])
+      const withDefault = baseType.def('a')
+
+      expect(withDefault).toNotBe(baseType)
+      expect(withDefault.default).toBe('a')
+      expect(baseType).toExcludeKey('default')
+    })
+
+    it('`loose` should NOT alter the original type', () => {
+      const userShape = VueTypes.shape({ name: String })
+      const looseShape = userShape.loose
+      const value = { name: 'John', age: 30 }
+
+      expect(looseShape).toNotBe(userShape)
+      expect(forceNoContext(looseShape.validator)(value)).toBe(true)
+      expect(forceNoContext(userShape.validator)(value)).toBe(false)
+    })
+
+    it('`refine` and refinements should NOT alter the original type', () => {
+      const baseType = VueTypes.string.isRequired
+      const refined = baseType.refine((value) => value !== 'admin')
+      const capped = baseType.maxLength(3)
+
+      expect(refined).toNotBe(baseType)
+      expect(capped).toNotBe(baseType)
+      expect(VueTypes.utils.validate('admin', baseType)).toBe(true)
+      expect(VueTypes.utils.validate('admin', refined)).toBe(false)
+      expect(VueTypes.utils.validate('john', baseType)).toBe(true)
+      expect(VueTypes.utils.validate('john', capped)).toBe(false)
+      expect(VueTypes.utils.validate('john', capped.refine(Boolean))).toBe(
+        false,
+      )
+    })
+
+    it('`validate` should NOT alter the original type', () => {
+      const baseType = VueTypes.number.isRequired
+      const validated = baseType.validate((value) => value > 0)
+
+      expect(validated).toNotBe(baseType)
+      expect(validated.required).toBe(true)
+      expect(VueTypes.utils.validate(-1, baseType)).toBe(true)
+      expect(VueTypes.utils.validate(-1, validated)).toBe(false)
+    })
+
+    it('should keep name, validator and flags', () => {
+      const baseType = VueTypes.arrayOf(Number).def([1]).isRequired
+      const validator = forceNoContext(baseType.validator)
+
+      expect(baseType._vueTypes_name).toBe('arrayOf')
+      expect(baseType.required).toBe(true)
+      expect(baseType.default()).toEqual([1])
+      expect(validator([1, 2])).toBe(true)
+      expect(validator(['1'])).toBe(false)
+    })
+
+    it('should keep refinements on cloned types', () => {
+      const customType = VueTypes.shape({ id: Number }).refine(
+        (value) => value.id > 0,
+      ).loose
+      const validator = forceNoContext(customType.validator)
+
+      expect(validator({ id: 1, name: 'John' })).toBe(true)
+      expect(validator({ id: 0, name: 'John' })).toBe(false)
+    })
+
+    it('`optional` should return a new type without the required flag', () => {
+      const requiredType = VueTypes.string.isRequired
+      const optionalType = requiredType.optional
+
+      expect(optionalType).toNotBe(requiredType)
+      expect(optionalType).toExcludeKey('required')
+      expect(optionalType.default).toBe(requiredType.default)
+      expect(requiredType.required).toBe(true)
+    })
+  })
+
+  describe('`.nullable`', () => {
+    it('should return a new type', () => {
+      const baseType = VueTypes.string
+      const nullableType = baseType.nullable
+
+      expect(nullableType).toNotBe(baseType)
+      expect(nullableType._vueTypes_name).toBe('string')
+      expect(VueTypes.utils.validate(null, baseType)).toBe(false)
+    })
+
+    it('should accept `null` values', () => {
+      const customType = VueTypes.string.nullable.isRequired
+
+      expect(VueTypes.utils.validate(null, customType)).toBe(true)
+      expect(VueTypes.utils.validate(undefined, customType)).toBe(false)
+    })
+
+    it('should still validate non-null values', () => {
+      const customType = VueTypes.string.minLength(2).nullable
+
+      expect(VueTypes.utils.validate('ab', customType)).toBe(true)
+      expect(VueTypes.utils.validate('a', customType)).toBe(false)
+      expect(VueTypes.utils.validate(1, customType)).toBe(false)
+    })
+
+    it('should move the native type check into the validator', () => {
+      const customType = VueTypes.string.nullable.isRequired
+      const validator = forceNoContext(customType.validator)
+
+      expect(customType.type).toBe(null)
+      expect(validator(null)).toBe(true)
+      expect(validator('a')).toBe(true)
+      expect(validator(1)).toBe(false)
+    })
+
+    it('should keep boolean types to let Vue cast attributes', () => {
+      const Comp = Vue.extend({
+        props: {
+          flag: VueTypes.bool.nullable.def(false),
+          other: VueTypes.bool.nullable.def(false),
+        },
+        render: () => null,
+      })
+      const vm = new Comp({ propsData: { flag: '', other: null } })
+
+      expect(VueTypes.bool.nullable.type).toBe(Boolean)
+      expect(vm.flag).toBe(true)
+      expect(vm.other).toBe(null)
+      expect(VueTypes.utils.validate(null, VueTypes.bool.nullable)).toBe(true)
+    })
+
+    it('should keep the native type check with custom validators', () => {
+      const customType = VueTypes.number.nullable.validate((v) => v > 0)
+
+      expect(VueTypes.utils.validate(1, customType)).toBe(true)
+      expect(VueTypes.utils.validate(null, customType)).toBe(true)
+      expect(VueTypes.utils.validate('1', customType)).toBe(false)
+      expect(VueTypes.utils.validate(-1, customType)).toBe(false)
+    })
+
+    it('should work in `oneOfType`', () => {
+      const customType = VueTypes.oneOfType([VueTypes.string.nullable, Number])
+
+      expect(VueTypes.utils.validate(null, customType)).toBe(true)
+      expect(VueTypes.utils.validate(1, customType)).toBe(true)
+      expect(VueTypes.utils.validate(true, customType)).toBe(false)
+    })
+
+    it('should skip validators on `null` values', () => {
+      const customType = VueTypes.custom((v) => typeof v === 'string').nullable
+      const validator = forceNoContext(customType.validator)
+
+      expect(validator(null)).toBe(true)
+      expect(validator(1)).toBe(false)
+    })
+
+    it('should allow `null` as default value', () => {
+      expect(VueTypes.object.nullable.def(null).default).toBe(null)
+    })
+
+    it('should wrap function defaults in a factory', () => {
+      function myFn() {}
+      const customType = VueTypes.func.nullable.def(myFn)
+
+      expect(customType.default()).toBe(myFn)
+      expect(VueTypes.utils.withDefaults(undefined, customType)).toBe(myFn)
+      expect(VueTypes.func.def(myFn).nullable.default()).toBe(myFn)
+      expect(VueTypes.func.nullable.default()).toBeA(Function)
+    })
+
+    it('should work on nested types', () => {
       const customType = VueTypes.shape({
-        id: VueTypes.integer.isRequired,
-        name: String,
+        name: VueTypes.string.isRequired,
+        middleName: VueTypes.string.nullable.isRequired,
       })
       const validator = forceNoContext(customType.validator)
 
-      expect(
-        validator({
-          name: 'John',
-        }),
-      ).toBe(false)
+      expect(validator({ name: 'John', middleName: null })).toBe(true)
+      expect(validator({ name: null, middleName: null })).toBe(false)
+      expect(validator({ name: 'John' })).toBe(false)
+    })
+  })
 
-      expect(
-        validator({
-          id: 10,
-        }),
-      ).toBe(true)
+  describe('`.refine`', () => {
+    it('should be available on every type', () => {
+      expect(VueTypes.any.refine).toBeA(Function)
+      expect(VueTypes.integer.refine).toBeA(Function)
+      expect(VueTypes.oneOf(['a']).refine).toBeA(Function)
+      expect(VueTypes.shape({}).refine).toBeA(Function)
     })
 
-    it('should allow required keys in shape (with a null type required)', () => {
-      const customType = VueTypes.shape({
-        myKey: VueTypes.any.isRequired,
-        name: null,
-      })
+    it('should throw if argument is not a function', () => {
+      expect(() => VueTypes.string.refine('test')).toThrow(TypeError)
+    })
+
+    it('should add a validator to types without one', () => {
+      const customType = VueTypes.string.refine((v) => v !== 'demo')
       const validator = forceNoContext(customType.validator)
 
-      expect(
-        validator({
-          name: 'John',
-        }),
-      ).toBe(false)
+      expect(validator('test')).toBe(true)
+      expect(validator('demo')).toBe(false)
+    })
 
-      expect(
-        validator({
-          myKey: null,
-        }),
-      ).toBe(true)
+    it('should keep the existing validator', () => {
+      const customType = VueTypes.arrayOf(VueTypes.string).refine(
+        (a) => a.length > 0,
+        'at least one tag',
+      )
+      const validator = forceNoContext(customType.validator)
+
+      expect(validator(['a'])).toBe(true)
+      expect(validator([])).toBe(false)
+      expect(validator([1])).toBe(false)
     })
 
-    it('Should accept properties explicitly set to undefined', () => {
-      const customType = VueTypes.shape({
-        message: VueTypes.string,
-      })
+    it('should stack multiple refinements', () => {
+      const customType = VueTypes.integer
+        .refine((v) => v > 0)
+        .refine((v) => v % 2 === 0)
       const validator = forceNoContext(customType.validator)
 
+      expect(validator(2)).toBe(true)
+      expect(validator(3)).toBe(false)
+      expect(validator(-2)).toBe(false)
+      expect(validator(2.5)).toBe(false)
+    })
+
+    it('should call the predicate with the type as context', () => {
+      const spy = expect.createSpy().andReturn(true)
+      const customType = VueTypes.number.refine(spy)
+      forceNoContext(customType.validator)(1)
+
+      expect(spy).toHaveBeenCalledWith(1)
+      expect(spy.calls[0].context).toBe(customType)
+    })
+
+    it('should report the refinement message', () => {
+      const customType = VueTypes.arrayOf(VueTypes.string).refine(
+        (a) => a.length > 0,
+        'at least one tag',
+      )
+
+      expect(VueTypes.utils.check([], customType).errors).toEqual([
+        {
+          message: 'arrayOf - at least one tag',
+          path: '',
+          name: 'arrayOf',
+          expected: 'arrayOf',
+          value: [],
+        },
+      ])
       expect(
-        validator({
-          message: undefined,
-        }),
-      ).toBe(true)
+        VueTypes.utils.check([1], customType).errors.map((e) => e.message),
+      ).toEqual(['string - value "1" should be of type "String"'])
     })
-  })
 
-  describe('`.oneOfType`', () => {
-    let spy
+    it('should report a generic message by default', () => {
+      const customType = VueTypes.object.refine((o) => 'id' in o)
 
-    class MyClass {
-      constructor(name) {
-        this.name = name
-      }
-    }
+      expect(VueTypes.utils.check({}, customType).errors[0].message).toBe(
+        'object - custom validation failed',
+      )
+    })
+  })
 
-    const nativeTypes = [Number, Array, MyClass]
-    const mixedTypes = [Number, VueTypes.array, VueTypes.integer]
-    const complexTypes = [
-      VueTypes.oneOf([0, 1, 'string']),
-      VueTypes.shape({ id: Number }),
-    ]
+  describe('nested warnings', () => {
+    let warnSpy
 
     beforeEach(() => {
-      spy = expect.spyOn(VueTypes, 'custom').andCallThrough()
+      Vue.config.silent = false
+      warnSpy = expect.spyOn(console, 'warn')
     })
 
     afterEach(() => {
-      spy.restore()
+      warnSpy.restore()
+      Vue.config.silent = true
     })
 
-    it('should add a `required` flag', () => {
-      const customType = VueTypes.oneOfType(nativeTypes)
-      checkRequired(customType)
+    it('should prefix warnings with the path to the failing value', () => {
+      const customType = VueTypes.arrayOf(
+        VueTypes.shape({ name: String, age: VueTypes.number }),
+      )
+      forceNoContext(customType.validator)([
+        { name: 'John', age: 30 },
+        { name: 'Jane', age: 'abc' },
+      ])
+
+      expect(warnSpy.calls.length).toBe(1)
+      expect(warnSpy).toHaveBeenCalledWith(
+        '[VueTypes warn]: [1].age: number - value "abc" should be of type "Number"',
+      )
     })
 
-    it('should provide a method to set a custom default', () => {
-      const customType = VueTypes.oneOfType(nativeTypes)
-      expect(customType.def(1).default).toBe(1)
+    it('should warn about every failing value', () => {
+      const customType = VueTypes.objectOf(VueTypes.arrayOf(Number))
+      forceNoContext(customType.validator)({ a: [1, '2'], b: ['3'] })
+
+      expect(warnSpy.calls.map(({ arguments: args }) => args[0])).toEqual([
+        '[VueTypes warn]: a[1]: value "2" should be of type "Number"',
+        '[VueTypes warn]: b[0]: value "3" should be of type "Number"',
+      ])
     })
 
-    it('should NOT accept default values out of the allowed ones', () => {
-      const customType = VueTypes.oneOfType(nativeTypes)
-      expect(customType.def('test')).toExcludeKey('default')
+    it('should NOT prefix top-level warnings', () => {
+      forceNoContext(VueTypes.oneOf(['a', 'b']).validator)('c')
+
+      expect(warnSpy).toHaveBeenCalledWith(
+        '[VueTypes warn]: oneOf - value should be one of "a", "b"',
+      )
+    })
+  })
+
+  describe('`config.onWarn` option', () => {
+    afterEach(() => {
+      VueTypes.config.onWarn = null
     })
 
-    it('should return a prop object with `type` as an array', () => {
-      const customType = VueTypes.oneOfType(nativeTypes)
-      expect(customType.type).toMatch(Array)
+    it('should pass warnings to the custom handler', () => {
+      const spy = expect.createSpy()
+      VueTypes.config.onWarn = spy
+
+      forceNoContext(VueTypes.oneOf(['a', 'b']).validator)('c')
+
+      expect(spy.calls.length).toBe(1)
+      expect(spy.calls[0].arguments[0]).toBe(
+        'oneOf - value should be one of "a", "b"',
+      )
     })
 
-    it('should NOT use the `custom` type creator', () => {
-      expect(spy.calls.length).toBe(0)
+    it('should pass structured details to the custom handler', () => {
+      const spy = expect.createSpy()
+      VueTypes.config.onWarn = spy
+
+      const customType = VueTypes.arrayOf(
+        VueTypes.shape({ name: String, age: VueTypes.number }),
+      )
+      forceNoContext(customType.validator)([{ name: 'Jane', age: 'abc' }])
+
+      expect(spy.calls[0].arguments[1]).toEqual({
+        message: 'number - value "abc" should be of type "Number"',
+        path: '[0].age',
+        name: 'number',
+        expected: 'Number',
+        value: 'abc',
+      })
     })
 
-    it('should use the custom type creator for mixed (native, VuePropTypes) options', () => {
-      const customType = VueTypes.oneOfType(mixedTypes)
+    it('should call the custom handler even when Vue is silent', () => {
+      const spy = expect.createSpy()
+      const warnSpy = expect.spyOn(console, 'warn')
+      VueTypes.config.onWarn = spy
 
+      forceNoContext(VueTypes.custom(() => false).validator)(1)
+      warnSpy.restore()
+
+      expect(Vue.config.silent).toBe(true)
       expect(spy).toHaveBeenCalled()
-      expect(customType).toExcludeKey('type')
+      expect(warnSpy).toNotHaveBeenCalled()
     })
+  })
 
-    it('should validate custom types with complex shapes', () => {
-      const customType = VueTypes.oneOfType(complexTypes)
-      const validator = forceNoContext(customType.validator)
+  describe('`config.rejectNull` option', () => {
+    beforeEach(() => {
+      VueTypes.config.rejectNull = true
+    })
 
-      expect(validator(1)).toBe(true)
+    afterEach(() => {
+      VueTypes.config.rejectNull = false
+    })
 
-      // validates types not values!
-      expect(validator(5)).toBe(true)
+    it('should reject `null` values on non-nullable types', () => {
+      expect(VueTypes.utils.validate(null, VueTypes.any)).toBe(false)
+      expect(VueTypes.utils.validate(null, VueTypes.oneOf([null, 'a']))).toBe(
+        false,
+      )
+      expect(VueTypes.utils.validate(undefined, VueTypes.any)).toBe(true)
+    })
 
-      expect(validator({ id: 10 })).toBe(true)
-      expect(validator({ id: '10' })).toBe(false)
+    it('should accept `null` values on nullable types', () => {
+      expect(VueTypes.utils.validate(null, VueTypes.any.nullable)).toBe(true)
     })
 
-    it('should validate multiple shapes', () => {
-      const customType = VueTypes.oneOfType([
-        VueTypes.shape({
-          id: Number,
-          name: VueTypes.string.isRequired,
-        }),
-        VueTypes.shape({
-          id: Number,
-          age: VueTypes.integer.isRequired,
-        }),
-        VueTypes.shape({}),
+    it('should report a specific error', () => {
+      const customType = VueTypes.shape({ name: VueTypes.any })
+
+      expect(VueTypes.utils.check({ name: null }, customType).errors).toEqual([
+        {
+          message: 'any - value should not be null',
+          path: 'name',
+          name: 'any',
+          expected: 'any',
+          value: null,
+        },
       ])
+    })
+  })
 
-      const validator = forceNoContext(customType.validator)
-      expect(validator({ id: 1, name: 'John' })).toBe(true)
-      expect(validator({ id: 2, age: 30 })).toBe(true)
-      expect(validator({})).toBe(true)
+  describe('`config.strict` option', () => {
+    beforeEach(() => {
+      VueTypes.config.strict = true
+    })
 
-      expect(validator({ id: 2 })).toBe(false)
+    afterEach(() => {
+      VueTypes.config.strict = false
+    })
+
+    it('should throw a `VueTypesValidationError` on failure', () => {
+      const validator = forceNoContext(VueTypes.arrayOf(Number).validator)
+
+      expect(() => validator([0, 1])).toNotThrow()
+      expect(() => validator([0, '1'])).toThrow(VueTypes.ValidationError)
+    })
+
+    it('should expose the failing path and expected type', () => {
+      const customType = VueTypes.shape({
+        users: VueTypes.arrayOf(VueTypes.shape({ age: VueTypes.integer })),
+      })
+      let error
+      try {
+        customType.validator({ users: [{ age: 1 }, { age: 1.5 }] })
+      } catch (e) {
+        error = e
+      }
+
+      expect(error).toBeA(VueTypes.ValidationError)
+      expect(error).toBeA(Error)
+      expect(error.stack).toBeA('string')
+      expect(error).toInclude({
+        name: 'VueTypesValidationError',
+        path: 'users[1].age',
+        expected: 'integer',
+        typeName: 'integer',
+        value: 1.5,
+      })
+      expect(error.message).toBe(
+        '[VueTypes error]: users[1].age: integer - value "1.5" should be an integer',
+      )
+    })
+
+    it('should throw when a top-level validator fails', () => {
+      const validator = forceNoContext(VueTypes.integer.validator)
+      expect(() => validator(1.5)).toThrow(VueTypes.ValidationError)
+
+      const stringType = VueTypes.string.validate((v) => v.length > 2)
+      expect(() => stringType.validator('a')).toThrow(/string/)
+    })
+
+    it('should NOT throw on failing `oneOfType` members', () => {
+      const validator = forceNoContext(
+        VueTypes.oneOfType([
+          VueTypes.shape({ id: Number }),
+          VueTypes.shape({ name: String }),
+        ]).validator,
+      )
+
+      expect(validator({ name: 'John' })).toBe(true)
+      expect(() => validator({ id: 'John' })).toThrow(/oneOfType/)
+    })
+
+    it('should NOT affect `utils.validate` and `utils.check`', () => {
+      expect(VueTypes.utils.validate(1.5, VueTypes.integer)).toBe(false)
+      expect(VueTypes.utils.check(1.5, VueTypes.integer).valid).toBe(false)
     })
   })
 
@@ -770,13 +2710,13 @@ describe('VueTypes', () => {
     it('should add getter prop to the library', () => {
       const validator = expect.createSpy()
       VueTypes.extend({
-        name: 'date',
+        name: 'dateGetter',
         validator,
         getter: true,
         type: Date,
       })
 
-      const dateType = VueTypes.date
+      const dateType = VueTypes.dateGetter
 
       expect(dateType).toNotBe(undefined)
       dateType.validator('v')
@@ -1035,4 +2975,227 @@ describe('VueTypes.utils', () => {
       expect(_utils.validate('s', type)).toBe(false)
     })
   })
+
+  describe('.check', () => {
+    it('should be a function', () => {
+      expect(_utils.check).toBeA(Function)
+    })
+
+    it('should return a valid result without errors', () => {
+      expect(_utils.check('string', VueTypes.string)).toEqual({
+        valid: true,
+        errors: [],
+      })
+    })
+
+    it('should report native type errors', () => {
+      const { valid, errors } = _utils.check(0, VueTypes.string)
+      expect(valid).toBe(false)
+      expect(errors.length).toBe(1)
+      expect(errors[0]).toInclude({
+        path: '',
+        name: 'string',
+        expected: 'String',
+        value: 0,
+      })
+    })
+
+    it('should report the path of nested errors', () => {
+      const type = VueTypes.shape({
+        users: VueTypes.arrayOf(
+          VueTypes.shape({
+            name: String,
+            address: VueTypes.shape({ zip: VueTypes.integer }),
+          }),
+        ),
+      })
+      const { valid, errors } = _utils.check(
+        {
+          users: [
+            { name: 'John' },
+            { name: 'Jane', address: { zip: 100 } },
+            { name: 'Jack', address: { zip: 1.5 } },
+          ],
+        },
+        type,
+      )
+
+      expect(valid).toBe(false)
+      expect(errors.length).toBe(1)
+      expect(errors[0]).toInclude({
+        path: 'users[2].address.zip',
+        name: 'integer',
+        expected: 'integer',
+        value: 1.5,
+      })
+    })
+
+    it('should report every error', () => {
+      const type = VueTypes.objectOf(VueTypes.arrayOf(Number))
+      const { errors } = _utils.check({ a: [1, '2'], b: ['3'] }, type)
+
+      expect(errors.map(({ path }) => path)).toEqual(['a[1]', 'b[0]'])
+      expect(errors[0]).toInclude({ expected: 'Number', value: '2' })
+    })
+
+    it('should report missing and unexpected shape properties', () => {
+      const type = VueTypes.shape({
+        id: VueTypes.integer.isRequired,
+        name: String,
+      })
+      const { errors } = _utils.check({ name: 'John', age: 30 }, type)
+
+      expect(errors.length).toBe(2)
+      expect(errors[0]).toInclude({
+        path: 'id',
+        name: 'shape',
+        expected: 'integer',
+      })
+      expect(errors[1]).toInclude({ path: 'age', name: 'shape', value: 30 })
+    })
+
+    it('should report a single error for failing `oneOfType` types', () => {
+      const type = VueTypes.arrayOf(
+        VueTypes.oneOfType([String, VueTypes.integer]),
+      )
+      const { errors } = _utils.check(['a', 1.5], type)
+
+      expect(errors.length).toBe(1)
+      expect(errors[0]).toInclude({
+        path: '[1]',
+        name: 'oneOfType',
+        value: 1.5,
+      })
+    })
+  })
+
+  describe('.withDefaults', () => {
+    const settings = VueTypes.shape({
+      theme: VueTypes.oneOf(['light', 'dark']).def('light'),
+      notifications: VueTypes.shape({
+        email: VueTypes.bool.def(false),
+        frequency: VueTypes.integer.def(1),
+      }).applyDefaults,
+      widgets: VueTypes.arrayOf(
+        VueTypes.shape({
+          id: VueTypes.string.isRequired,
+          visible: VueTypes.bool.def(true),
+        }),
+      ),
+      labels: VueTypes.objectOf(VueTypes.shape({ color: String }).loose),
+      callback: VueTypes.func.def(noop),
+    })
+
+    it('should be a function', () => {
+      expect(_utils.withDefaults).toBeA(Function)
+    })
+
+    it('should fill missing values with their defaults', () => {
+      const value = {
+        notifications: { email: true },
+        widgets: [{ id: 'a' }, { id: 'b', visible: false }],
+      }
+
+      expect(_utils.withDefaults(value, settings)).toEqual({
+        theme: 'light',
+        notifications: { email: true, frequency: 1 },
+        widgets: [{ id: 'a', visible: true }, { id: 'b', visible: false }],
+        callback: noop,
+      })
+    })
+
+    it('should NOT modify the passed-in value', () => {
+      const value = { notifications: { email: true }, widgets: [{ id: 'a' }] }
+      const result = _utils.withDefaults(value, settings)
+
+      expect(result).toNotBe(value)
+      expect(result.widgets[0]).toNotBe(value.widgets[0])
+      expect(value).toEqual({
+        notifications: { email: true },
+        widgets: [{ id: 'a' }],
+      })
+    })
+
+    it('should use `applyDefaults` shapes defaults for missing objects', () => {
+      expect(_utils.withDefaults({}, settings).notifications).toEqual({
+        email: false,
+        frequency: 1,
+      })
+    })
+
+    it('should recurse through `objectOf` values', () => {
+      const type = VueTypes.objectOf(
+        VueTypes.shape({ color: VueTypes.string.def('red') }),
+      )
+
+      expect(
+        _utils.withDefaults({ a: {}, b: { color: 'blue' } }, type),
+      ).toEqual({ a: { color: 'red' }, b: { color: 'blue' } })
+    })
+
+    it('should return non-object values as they are', () => {
+      expect(_utils.withDefaults(null, settings)).toBe(null)
+      expect(_utils.withDefaults(1, settings)).toBe(1)
+      expect(_utils.withDefaults(undefined, String)).toBe(undefined)
+    })
+  })
+
+  describe('.strip', () => {
+    const user = VueTypes.shape({
+      id: VueTypes.integer.isRequired,
+      name: String,
+      address: VueTypes.shape({ city: String }).loose,
+      roles: VueTypes.arrayOf(VueTypes.shape({ name: String })),
+      meta: VueTypes.objectOf(VueTypes.shape({ value: Number })),
+      data: VueTypes.object,
+    }).loose
+
+    it('should be a function', () => {
+      expect(_utils.strip).toBeA(Function)
+    })
+
+    it('should remove keys not declared in the shape', () => {
+      expect(_utils.strip({ id: 1, token: 'abc' }, user)).toEqual({ id: 1 })
+    })
+
+    it('should NOT add missing keys', () => {
+      expect(_utils.strip({ id: 1, name: undefined }, user)).toEqual({
+        id: 1,
+        name: undefined,
+      })
+      expect(_utils.strip({}, user)).toEqual({})
+    })
+
+    it('should recurse through nested shapes, `arrayOf` and `objectOf`', () => {
+      const value = {
+        id: 1,
+        address: { city: 'Rome', zip: '00100' },
+        roles: [{ name: 'admin', level: 1 }],
+        meta: { a: { value: 1, raw: '1' } },
+        data: { any: { key: true } },
+      }
+
+      expect(_utils.strip(value, user)).toEqual({
+        id: 1,
+        address: { city: 'Rome' },
+        roles: [{ name: 'admin' }],
+        meta: { a: { value: 1 } },
+        data: { any: { key: true } },
+      })
+    })
+
+    it('should return a deep copy', () => {
+      const value = { id: 1, roles: [{ name: 'admin' }], data: { a: {} } }
+      const result = _utils.strip(value, user)
+
+      expect(result).toNotBe(value)
+      expect(result.roles[0]).toNotBe(value.roles[0])
+      expect(result.data.a).toNotBe(value.data.a)
+    })
+
+    it('should return non-object values as they are', () => {
+      expect(_utils.strip(null, user)).toBe(null)
+      expect(_utils.strip('a', user)).toBe('a')
+    })
+  })
 })
@@ -20,14 +20,16 @@ describe('SHIM: VueTypes', () => {
       expect(type.type).toBe(null)
     })
 
-    it('should have a `isRequired` flag that returns the type itself', () => {
+    it('should have a `isRequired` flag that returns a new required type', () => {
       const type = VueTypes.any
-      expect(type.isRequired).toBe(type)
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
     })
 
-    it('should have a `def` method that returns the type itself', () => {
+    it('should have a `def` method that returns a new type', () => {
       const type = VueTypes.any
-      expect(type.def(true)).toBe(type)
+      expect(type.def(true)).toNotBe(type)
     })
 
     it('should have a `def` method that sets a `default` property', () => {
@@ -54,14 +56,16 @@ describe('SHIM: VueTypes', () => {
       expect(VueTypes.func.type).toBe(Function)
     })
 
-    it('should have a `isRequired` flag that returns the type itself', () => {
+    it('should have a `isRequired` flag that returns a new required type', () => {
       const type = VueTypes.func
-      expect(type.isRequired).toBe(type)
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
     })
 
-    it('should have a `def` method that returns the type itself', () => {
+    it('should have a `def` method that returns a new type', () => {
       const type = VueTypes.func
-      expect(type.def()).toBe(type)
+      expect(type.def()).toNotBe(type)
     })
 
     it('should have a `def` method that sets a `default` property', () => {
@@ -74,6 +78,14 @@ describe('SHIM: VueTypes', () => {
       expect(VueTypes.func.validator).toBeA(Function)
     })
 
+    it('should have refinements returning the type itself', () => {
+      const type = VueTypes.func
+      expect(type.arity(1)).toBe(type)
+      expect(type.minArity(1)).toBe(type)
+      expect(type.async).toBe(type)
+      expect(type.sync).toBe(type)
+    })
+
     it('should have a `validate` method', () => {
       expect(VueTypes.func.validate).toBeA(Function)
     })
@@ -88,14 +100,16 @@ describe('SHIM: VueTypes', () => {
       expect(VueTypes.bool.type).toBe(Boolean)
     })
 
-    it('should have a `isRequired` flag that returns the type itself', () => {
+    it('should have a `isRequired` flag that returns a new required type', () => {
       const type = VueTypes.bool
-      expect(type.isRequired).toBe(type)
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
     })
 
-    it('should have a `def` method that returns the type itself', () => {
+    it('should have a `def` method that returns a new type', () => {
       const type = VueTypes.bool
-      expect(type.def(true)).toBe(type)
+      expect(type.def(true)).toNotBe(type)
     })
 
     it('should have a `def` method that sets a `default` property', () => {
@@ -122,14 +136,16 @@ describe('SHIM: VueTypes', () => {
       expect(VueTypes.string.type).toBe(String)
     })
 
-    it('should have a `isRequired` flag that returns the type itself', () => {
+    it('should have a `isRequired` flag that returns a new required type', () => {
       const type = VueTypes.string
-      expect(type.isRequired).toBe(type)
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
     })
 
-    it('should have a `def` method that returns the type itself', () => {
+    it('should have a `def` method that returns a new type', () => {
       const type = VueTypes.string
-      expect(type.def(true)).toBe(type)
+      expect(type.def(true)).toNotBe(type)
     })
 
     it('should have a `def` method that sets a `default` property', () => {
@@ -147,6 +163,43 @@ describe('SHIM: VueTypes', () => {
     })
   })
 
+  describe('SHIM: `.string` refinements', () => {
+    it('should have refinement methods that return the type itself', () => {
+      const type = VueTypes.string
+      expect(type.minLength(1)).toBe(type)
+      expect(type.maxLength(1)).toBe(type)
+      expect(type.pattern(/a/)).toBe(type)
+    })
+
+    it('should have refinement flags that return the type itself', () => {
+      const type = VueTypes.string
+      expect(type.nonEmpty).toBe(type)
+      expect(type.email).toBe(type)
+      expect(type.url).toBe(type)
+      expect(type.uuid).toBe(type)
+    })
+  })
+
+  describe('SHIM: number refinements', () => {
+    it('should have refinement methods that return the type itself', () => {
+      ;['number', 'integer'].forEach((name) => {
+        const type = VueTypes[name]
+        expect(type.min(1)).toBe(type)
+        expect(type.max(1)).toBe(type)
+        expect(type.range(1, 2)).toBe(type)
+        expect(type.multipleOf(1)).toBe(type)
+      })
+    })
+
+    it('should have refinement flags that return the type itself', () => {
+      ;['number', 'integer'].forEach((name) => {
+        const type = VueTypes[name]
+        expect(type.positive).toBe(type)
+        expect(type.nonNegative).toBe(type)
+      })
+    })
+  })
+
   describe('SHIM: `.number`', () => {
     it('should exist', () => {
       expect(VueTypes.number).toNotBe(undefined)
@@ -156,14 +209,16 @@ describe('SHIM: VueTypes', () => {
       expect(VueTypes.number.type).toBe(Number)
     })
 
-    it('should have a `isRequired` flag that returns the type itself', () => {
+    it('should have a `isRequired` flag that returns a new required type', () => {
       const type = VueTypes.number
-      expect(type.isRequired).toBe(type)
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
     })
 
-    it('should have a `def` method that returns the type itself', () => {
+    it('should have a `def` method that returns a new type', () => {
       const type = VueTypes.number
-      expect(type.def(true)).toBe(type)
+      expect(type.def(true)).toNotBe(type)
     })
 
     it('should have a `def` method that sets a `default` property', () => {
@@ -190,14 +245,16 @@ describe('SHIM: VueTypes', () => {
       expect(VueTypes.array.type).toBe(Array)
     })
 
-    it('should have a `isRequired` flag that returns the type itself', () => {
+    it('should have a `isRequired` flag that returns a new required type', () => {
       const type = VueTypes.array
-      expect(type.isRequired).toBe(type)
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
     })
 
-    it('should have a `def` method that returns the type itself', () => {
+    it('should have a `def` method that returns a new type', () => {
       const type = VueTypes.array
-      expect(type.def(true)).toBe(type)
+      expect(type.def(true)).toNotBe(type)
     })
 
     it('should have a `def` method that sets a `default` property', () => {
@@ -224,14 +281,16 @@ describe('SHIM: VueTypes', () => {
       expect(VueTypes.object.type).toBe(Object)
     })
 
-    it('should have a `isRequired` flag that returns the type itself', () => {
+    it('should have a `isRequired` flag that returns a new required type', () => {
       const type = VueTypes.object
-      expect(type.isRequired).toBe(type)
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
     })
 
-    it('should have a `def` method that returns the type itself', () => {
+    it('should have a `def` method that returns a new type', () => {
       const type = VueTypes.object
-      expect(type.def(true)).toBe(type)
+      expect(type.def(true)).toNotBe(type)
     })
 
     it('should have a `def` method that sets a `default` property', () => {
@@ -262,14 +321,16 @@ describe('SHIM: VueTypes', () => {
       expect(VueTypes.integer.type).toBe(Number)
     })
 
-    it('should have a `isRequired` flag that returns the type itself', () => {
+    it('should have a `isRequired` flag that returns a new required type', () => {
       const type = VueTypes.integer
-      expect(type.isRequired).toBe(type)
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
     })
 
-    it('should have a `def` method that returns the type itself', () => {
+    it('should have a `def` method that returns a new type', () => {
       const type = VueTypes.integer
-      expect(type.def(true)).toBe(type)
+      expect(type.def(true)).toNotBe(type)
     })
 
     it('should have a `def` method that sets a `default` property', () => {
@@ -292,14 +353,16 @@ describe('SHIM: VueTypes', () => {
       expect(VueTypes.symbol.type).toBe(null)
     })
 
-    it('should have a `isRequired` flag that returns the type itself', () => {
+    it('should have a `isRequired` flag that returns a new required type', () => {
       const type = VueTypes.symbol
-      expect(type.isRequired).toBe(type)
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
     })
 
-    it('should have a `def` method that returns the type itself', () => {
+    it('should have a `def` method that returns a new type', () => {
       const type = VueTypes.symbol
-      expect(type.def(true)).toBe(type)
+      expect(type.def(true)).toNotBe(type)
     })
 
     it('should have a `def` method that sets a `default` property', () => {
@@ -326,14 +389,16 @@ describe('SHIM: VueTypes', () => {
       expect(VueTypes.custom().type).toBe(null)
     })
 
-    it('should have a `isRequired` flag that returns the type itself', () => {
+    it('should have a `isRequired` flag that returns a new required type', () => {
       const type = VueTypes.custom()
-      expect(type.isRequired).toBe(type)
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
     })
 
-    it('should have a `def` method that returns the type itself', () => {
+    it('should have a `def` method that returns a new type', () => {
       const type = VueTypes.custom()
-      expect(type.def(true)).toBe(type)
+      expect(type.def(true)).toNotBe(type)
     })
 
     it('should have a `def` method that sets a `default` property', () => {
@@ -347,6 +412,87 @@ describe('SHIM: VueTypes', () => {
     })
   })
 
+  describe('SHIM: `.literal`', () => {
+    it('should have a `type` property', () => {
+      expect(VueTypes.literal('a').type).toBe(null)
+    })
+
+    it('should have a `validator` method', () => {
+      expect(VueTypes.literal('a').validator).toBeA(Function)
+    })
+  })
+
+  describe('SHIM: `.enumOf`', () => {
+    it('should have a `type` property', () => {
+      expect(VueTypes.enumOf({}).type).toBe(null)
+    })
+
+    it('should have a `keys` flag that returns a new type', () => {
+      const type = VueTypes.enumOf({})
+      expect(type.keys)
+        .toNotBe(type)
+        .toInclude({ type: String })
+    })
+  })
+
+  describe('SHIM: `.date`', () => {
+    it('should have a `type` property', () => {
+      expect(VueTypes.date.type).toBe(Date)
+    })
+
+    it('should have a `def` method that sets a factory for dates', () => {
+      const date = new Date(2020, 0, 1)
+      expect(VueTypes.date.def(date).default()).toEqual(date)
+    })
+
+    it('should have refinements returning the type itself', () => {
+      const type = VueTypes.date
+      expect(type.min(new Date())).toBe(type)
+      expect(type.max(new Date())).toBe(type)
+    })
+  })
+
+  describe('SHIM: `.isoDateString`', () => {
+    it('should have a `type` property', () => {
+      expect(VueTypes.isoDateString.type).toBe(String)
+    })
+
+    it('should have a `validator` method', () => {
+      expect(VueTypes.isoDateString.validator).toBeA(Function)
+    })
+  })
+
+  describe('SHIM: `.component`', () => {
+    it('should have a `type` property', () => {
+      expect(VueTypes.component.type).toEqual([Object, Function])
+    })
+  })
+
+  describe('SHIM: `.vnode`', () => {
+    it('should have a `type` property', () => {
+      expect(VueTypes.vnode.type).toBe(null)
+    })
+  })
+
+  describe('SHIM: `.listener`', () => {
+    it('should have a `type` property', () => {
+      expect(VueTypes.listener.type).toEqual([Function, Array])
+    })
+
+    it('should have a `isRequired` flag that returns a new required type', () => {
+      const type = VueTypes.listener
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
+    })
+  })
+
+  describe('SHIM: `.slot`', () => {
+    it('should have a `type` property', () => {
+      expect(VueTypes.slot.type).toBe(Function)
+    })
+  })
+
   describe('SHIM: `.oneOf`', () => {
     it('should exist', () => {
       expect(VueTypes.oneOf).toBeA(Function)
@@ -356,14 +502,16 @@ describe('SHIM: VueTypes', () => {
       expect(VueTypes.oneOf().type).toBe(null)
     })
 
-    it('should have a `isRequired` flag that returns the type itself', () => {
+    it('should have a `isRequired` flag that returns a new required type', () => {
       const type = VueTypes.oneOf()
-      expect(type.isRequired).toBe(type)
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
     })
 
-    it('should have a `def` method that returns the type itself', () => {
+    it('should have a `def` method that returns a new type', () => {
       const type = VueTypes.oneOf()
-      expect(type.def(true)).toBe(type)
+      expect(type.def(true)).toNotBe(type)
     })
 
     it('should have a `def` method that sets a `default` property', () => {
@@ -386,14 +534,16 @@ describe('SHIM: VueTypes', () => {
       expect(VueTypes.instanceOf().type).toBe(null)
     })
 
-    it('should have a `isRequired` flag that returns the type itself', () => {
+    it('should have a `isRequired` flag that returns a new required type', () => {
       const type = VueTypes.instanceOf()
-      expect(type.isRequired).toBe(type)
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
     })
 
-    it('should have a `def` method that returns the type itself', () => {
+    it('should have a `def` method that returns a new type', () => {
       const type = VueTypes.instanceOf()
-      expect(type.def(true)).toBe(type)
+      expect(type.def(true)).toNotBe(type)
     })
 
     it('should have a `def` method that sets a `default` property', () => {
@@ -416,14 +566,16 @@ describe('SHIM: VueTypes', () => {
       expect(VueTypes.arrayOf().type).toBe(Array)
     })
 
-    it('should have a `isRequired` flag that returns the type itself', () => {
+    it('should have a `isRequired` flag that returns a new required type', () => {
       const type = VueTypes.arrayOf()
-      expect(type.isRequired).toBe(type)
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
     })
 
-    it('should have a `def` method that returns the type itself', () => {
+    it('should have a `def` method that returns a new type', () => {
       const type = VueTypes.arrayOf()
-      expect(type.def(true)).toBe(type)
+      expect(type.def(true)).toNotBe(type)
     })
 
     it('should have a `def` method that sets a `default` property', () => {
@@ -437,6 +589,68 @@ describe('SHIM: VueTypes', () => {
     })
   })
 
+  describe('SHIM: `.optional`', () => {
+    it('should return a new type without the required flag', () => {
+      const type = VueTypes.string.isRequired
+      expect(type.optional)
+        .toNotBe(type)
+        .toExcludeKey('required')
+    })
+  })
+
+  describe('SHIM: `.nullable`', () => {
+    it('should return a new type', () => {
+      const type = VueTypes.string
+      expect(type.nullable).toNotBe(type)
+    })
+
+    it('should remove the native type', () => {
+      expect(VueTypes.string.isRequired.nullable.type).toBe(null)
+    })
+
+    it('should keep boolean types', () => {
+      expect(VueTypes.bool.nullable.type).toBe(Boolean)
+    })
+
+    it('should wrap function defaults in a factory', () => {
+      function myFn() {}
+      expect(VueTypes.func.nullable.def(myFn).default()).toBe(myFn)
+      expect(VueTypes.func.def(myFn).nullable.default()).toBe(myFn)
+    })
+  })
+
+  describe('SHIM: `.refine`', () => {
+    it('should return the type itself', () => {
+      ;[VueTypes.any, VueTypes.integer, VueTypes.arrayOf(String)].forEach(
+        (type) => {
+          expect(type.refine(() => false, 'test')).toBe(type)
+        },
+      )
+    })
+  })
+
+  describe('SHIM: `.tuple`', () => {
+    it('should exist', () => {
+      expect(VueTypes.tuple).toBeA(Function)
+    })
+
+    it('should have a `type` property', () => {
+      expect(VueTypes.tuple([Number, Number]).type).toBe(Array)
+    })
+
+    it('should have a `isRequired` flag that returns a new required type', () => {
+      const type = VueTypes.tuple([Number, Number])
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
+    })
+
+    it('should have a `def` method that sets a `default` factory', () => {
+      const type = VueTypes.tuple([Number, Number])
+      expect(type.def([0, 1]).default()).toEqual([0, 1])
+    })
+  })
+
   describe('SHIM: `.objectOf`', () => {
     it('should exist', () => {
       expect(VueTypes.objectOf).toBeA(Function)
@@ -446,14 +660,16 @@ describe('SHIM: VueTypes', () => {
       expect(VueTypes.objectOf().type).toBe(Object)
     })
 
-    it('should have a `isRequired` flag that returns the type itself', () => {
+    it('should have a `isRequired` flag that returns a new required type', () => {
       const type = VueTypes.objectOf()
-      expect(type.isRequired).toBe(type)
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
     })
 
-    it('should have a `def` method that returns the type itself', () => {
+    it('should have a `def` method that returns a new type', () => {
       const type = VueTypes.objectOf()
-      expect(type.def(true)).toBe(type)
+      expect(type.def(true)).toNotBe(type)
     })
 
     it('should have a `def` method that sets a `default` property', () => {
@@ -467,6 +683,61 @@ describe('SHIM: VueTypes', () => {
     })
   })
 
+  describe('SHIM: `.mapOf`', () => {
+    it('should have a `type` property', () => {
+      expect(VueTypes.mapOf().type).toBe(Map)
+    })
+
+    it('should have a `isRequired` flag that returns a new required type', () => {
+      const type = VueTypes.mapOf()
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
+    })
+
+    it('should have a `validator` method', () => {
+      expect(VueTypes.mapOf().validator).toBeA(Function)
+    })
+  })
+
+  describe('SHIM: `.setOf`', () => {
+    it('should have a `type` property', () => {
+      expect(VueTypes.setOf().type).toBe(Set)
+    })
+
+    it('should have a `isRequired` flag that returns a new required type', () => {
+      const type = VueTypes.setOf()
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
+    })
+
+    it('should have a `validator` method', () => {
+      expect(VueTypes.setOf().validator).toBeA(Function)
+    })
+  })
+
+  describe('SHIM: `.record`', () => {
+    it('should exist', () => {
+      expect(VueTypes.record).toBeA(Function)
+    })
+
+    it('should have a `type` property', () => {
+      expect(VueTypes.record().type).toBe(Object)
+    })
+
+    it('should have a `isRequired` flag that returns a new required type', () => {
+      const type = VueTypes.record()
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
+    })
+
+    it('should have a `validator` method', () => {
+      expect(VueTypes.record().validator).toBeA(Function)
+    })
+  })
+
   describe('SHIM: `.shape`', () => {
     it('should exist', () => {
       expect(VueTypes.shape).toBeA(Function)
@@ -476,14 +747,16 @@ describe('SHIM: VueTypes', () => {
       expect(VueTypes.shape().type).toBe(Object)
     })
 
-    it('should have a `isRequired` flag that returns the type itself', () => {
+    it('should have a `isRequired` flag that returns a new required type', () => {
       const type = VueTypes.shape()
-      expect(type.isRequired).toBe(type)
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
     })
 
-    it('should have a `def` method that returns the type itself', () => {
+    it('should have a `def` method that returns a new type', () => {
       const type = VueTypes.shape()
-      expect(type.def(true)).toBe(type)
+      expect(type.def(true)).toNotBe(type)
     })
 
     it('should have a `def` method that sets a `default` property', () => {
@@ -496,9 +769,139 @@ describe('SHIM: VueTypes', () => {
       expect(VueTypes.shape().validator).toBeA(Function)
     })
 
-    it('should have a `loose` flag that returns the type itself', () => {
+    it('should have a `loose` flag that returns a new type', () => {
       const type = VueTypes.shape()
-      expect(type.loose).toBe(type)
+      expect(type.loose).toNotBe(type)
+    })
+
+    it('should have an `exact` flag that returns a new type', () => {
+      const type = VueTypes.shape()
+      expect(type.exact).toNotBe(type)
+    })
+  })
+
+  describe('SHIM: `.allOf`', () => {
+    it('should exist', () => {
+      expect(VueTypes.allOf).toBeA(Function)
+    })
+
+    it('should have a `isRequired` flag that returns a new required type', () => {
+      const type = VueTypes.allOf([Number])
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
+    })
+
+    it('should merge the fields of shapes', () => {
+      const type = VueTypes.allOf([
+        VueTypes.shape({ a: Number }),
+        VueTypes.shape({ b: VueTypes.string.def('x') }).isRequired,
+      ])
+      expect(type.type).toBe(Object)
+      expect(type.required).toBe(true)
+      expect(VueTypes.utils.strip({ a: 1, b: 2, c: 3 }, type)).toEqual({
+        a: 1,
+        b: 2,
+      })
+      expect(VueTypes.utils.withDefaults({ a: 1 }, type)).toEqual({
+        a: 1,
+        b: 'x',
+      })
+    })
+
+    it('should merge member defaults', () => {
+      const type = VueTypes.allOf([
+        VueTypes.shape({ a: Number }).def({ a: 1 }),
+        VueTypes.shape({ b: Number }).def({ b: 2 }),
+      ])
+      expect(type.default()).toEqual({ a: 1, b: 2 })
+    })
+  })
+
+  describe('SHIM: `.discriminated`', () => {
+    it('should exist', () => {
+      expect(VueTypes.discriminated).toBeA(Function)
+    })
+
+    it('should have a `type` property', () => {
+      expect(VueTypes.discriminated('kind', {}).type).toBe(Object)
+    })
+
+    it('should have a `isRequired` flag that returns a new required type', () => {
+      const type = VueTypes.discriminated('kind', {})
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
+    })
+  })
+
+  describe('SHIM: `.shape` composition helpers', () => {
+    it('should have methods that return a new type', () => {
+      const type = VueTypes.shape({ id: Number })
+      expect(type.extend({ name: String })).toNotBe(type)
+      expect(type.pick(['id'])).toNotBe(type)
+      expect(type.omit(['id'])).toNotBe(type)
+    })
+
+    it('should have flags that return a new type', () => {
+      const type = VueTypes.shape({ id: Number })
+      expect(type.partial).toNotBe(type)
+      expect(type.allRequired).toNotBe(type)
+    })
+
+    it('should keep the `required` and `nullable` flags', () => {
+      const type = VueTypes.shape({ id: Number, name: String }).isRequired
+        .nullable
+      ;[
+        type.extend({ age: Number }),
+        type.pick(['id']),
+        type.omit(['id']),
+      ].forEach((derived) => {
+        expect(derived.required).toBe(true)
+        expect(derived.type).toBe(null)
+        expect(derived._vueTypes_fields).toNotBe(type._vueTypes_fields)
+      })
+    })
+  })
+
+  describe('SHIM: `.shape` `applyDefaults` modifier', () => {
+    it('should set a default built from the fields defaults', () => {
+      const type = VueTypes.shape({
+        enabled: VueTypes.bool.def(false),
+        label: String,
+      }).def({ label: 'a' }).applyDefaults
+      expect(type.default()).toEqual({ enabled: false, label: 'a' })
+    })
+  })
+
+  describe('SHIM: `.shape` `defFromFields` modifier', () => {
+    it('should build a default factory from the fields defaults', () => {
+      const type = VueTypes.shape({
+        enabled: VueTypes.bool.def(false),
+        label: VueTypes.string,
+      }).def({ enabled: true }).defFromFields
+      expect(type.default()).toEqual({ enabled: false, label: '' })
+    })
+  })
+
+  describe('SHIM: `.lazy`', () => {
+    it('should exist', () => {
+      expect(VueTypes.lazy).toBeA(Function)
+    })
+
+    it('should have a `type` property', () => {
+      expect(VueTypes.lazy(() => VueTypes.string).type).toBe(null)
+    })
+
+    it('should have a `isRequired` flag that returns a new required type', () => {
+      const type = VueTypes.lazy(() => VueTypes.string)
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
+    })
+
+    it('should have a `validator` method', () => {
+      expect(VueTypes.lazy(() => VueTypes.string).validator).toBeA(Function)
     })
   })
 
@@ -511,14 +914,16 @@ describe('SHIM: VueTypes', () => {
       expect(VueTypes.oneOfType().type).toBe(null)
     })
 
-    it('should have a `isRequired` flag that returns the type itself', () => {
+    it('should have a `isRequired` flag that returns a new required type', () => {
       const type = VueTypes.oneOfType()
-      expect(type.isRequired).toBe(type)
+      expect(type.isRequired)
+        .toNotBe(type)
+        .toInclude({ required: true })
     })
 
-    it('should have a `def` method that returns the type itself', () => {
+    it('should have a `def` method that returns a new type', () => {
       const type = VueTypes.oneOfType()
-      expect(type.def(true)).toBe(type)
+      expect(type.def(true)).toNotBe(type)
     })
 
     it('should have a `def` method that sets a `default` property', () => {
@@ -590,12 +995,12 @@ describe('SHIM: VueTypes', () => {
   describe('SHIM: `.extend` helper', () => {
     it('should add getter prop to the library', () => {
       VueTypes.extend({
-        name: 'date',
+        name: 'dateGetter',
         getter: true,
         type: Date,
       })
 
-      const dateType = VueTypes.date
+      const dateType = VueTypes.dateGetter
       expect(dateType).toNotBe(undefined)
     })
 
@@ -630,6 +1035,30 @@ describe('SHIM: VueTypes', () => {
   })
 })
 
+describe('SHIM: VueTypes.config', () => {
+  it('should be defined', () => {
+    expect(VueTypes.config).toBeA(Object)
+  })
+
+  it('should expose the `onWarn` option', () => {
+    expect(VueTypes.config).toIncludeKey('onWarn')
+  })
+
+  it('should expose the `strict` option', () => {
+    expect(VueTypes.config.strict).toBe(false)
+  })
+
+  it('should expose the `rejectNull` option', () => {
+    expect(VueTypes.config.rejectNull).toBe(false)
+  })
+})
+
+describe('SHIM: VueTypes.ValidationError', () => {
+  it('should be an error constructor', () => {
+    expect(VueTypes.ValidationError.prototype).toBeA(Error)
+  })
+})
+
 describe('SHIM: VueTypes.utils', () => {
   it('should be defined', () => {
     expect(VueTypes.utils).toBeA(Object)
@@ -654,4 +1083,79 @@ describe('SHIM: VueTypes.utils', () => {
       expect(VueTypes.utils.validate()).toBe(true)
     })
   })
+
+  describe('SHIM: .withDefaults', () => {
+    it('should fill missing values with their defaults', () => {
+      const type = VueTypes.shape({
+        theme: VueTypes.string.def('light'),
+        widgets: VueTypes.arrayOf(
+          VueTypes.shape({ visible: VueTypes.bool.def(true) }),
+        ),
+        labels: VueTypes.objectOf(
+          VueTypes.shape({ color: VueTypes.string.def('red') }),
+        ),
+      }).pick(['theme', 'widgets', 'labels'])
+
+      expect(
+        VueTypes.utils.withDefaults(
+          { widgets: [{}], labels: { a: { color: 'blue' }, b: {} } },
+          type,
+        ),
+      ).toEqual({
+        theme: 'light',
+        widgets: [{ visible: true }],
+        labels: { a: { color: 'blue' }, b: { color: 'red' } },
+      })
+    })
+  })
+
+  describe('SHIM: .strip', () => {
+    it('should resolve lazy types', () => {
+      const item = VueTypes.shape({
+        label: String,
+        children: VueTypes.arrayOf(VueTypes.lazy(() => item)),
+      })
+
+      expect(
+        VueTypes.utils.strip(
+          { label: 'a', id: 1, children: [{ label: 'b', id: 2 }] },
+          item,
+        ),
+      ).toEqual({ label: 'a', children: [{ label: 'b' }] })
+    })
+
+    it('should remove keys not declared in the shape', () => {
+      const type = VueTypes.shape({
+        name: String,
+        roles: VueTypes.arrayOf(VueTypes.shape({ name: String })),
+        meta: VueTypes.objectOf(VueTypes.shape({ value: Number })),
+      }).loose
+
+      expect(
+        VueTypes.utils.strip(
+          {
+            name: 'John',
+            token: 'abc',
+            roles: [{ name: 'admin', level: 1 }],
+            meta: { a: { value: 1, raw: '1' } },
+          },
+          type,
+        ),
+      ).toEqual({
+        name: 'John',
+        roles: [{ name: 'admin' }],
+        meta: { a: { value: 1 } },
+      })
+    })
+  })
+
+  describe('SHIM: .check', () => {
+    it('should be a function', () => {
+      expect(VueTypes.utils.check).toBeA(Function)
+    })
+
+    it('returns a valid result', () => {
+      expect(VueTypes.utils.check()).toEqual({ valid: true, errors: [] })
+    })
+  })
 })
@@ -1,4 +1,5 @@
 import expect from 'expect'
+import Vue from 'vue'
 import * as utils from '../src/utils'
 import {
   stub_validateType,
@@ -52,8 +53,8 @@ describe('`withDefault()`', () => {
     it('should check validity of passed-in value', () => {
       const value = 'test'
       utils.withDefault(obj)
-      obj.def(value)
-      expect(validateSpy).toHaveBeenCalledWith(obj, value)
+      const type = obj.def(value)
+      expect(validateSpy).toHaveBeenCalledWith(type, value)
     })
 
     it('skips validation if passed-in value is a function', () => {
@@ -68,38 +69,179 @@ describe('`withDefault()`', () => {
     it('exists if validation fails', () => {
       validateSpy.andReturn(false)
       utils.withDefault(obj)
-      obj.def(true)
-      expect(obj).toExcludeKey('default')
+      expect(obj.def(true)).toExcludeKey('default')
     })
 
-    it('sets a `default` key on the object', () => {
+    it('sets a `default` key on a new object', () => {
       utils.withDefault(obj)
 
       const stubs = [true, null, 'string', () => {}, 0]
 
       stubs.forEach((v) => {
-        obj.def(v)
-        expect(obj.default).toBe(v)
+        const type = obj.def(v)
+        expect(type).toNotBe(obj)
+        expect(type.default).toBe(v)
       })
+      expect(obj).toExcludeKey('default')
     })
 
     it('sets a factory function if value is an array', () => {
       const arr = [0, 1]
       utils.withDefault(obj)
-      obj.def(arr)
-      expect(obj.default).toBeA(Function)
-      expect(obj.default()).toNotBe(arr)
-      expect(obj.default()).toEqual(arr)
+      const type = obj.def(arr)
+      expect(type.default).toBeA(Function)
+      expect(type.default()).toNotBe(arr)
+      expect(type.default()).toEqual(arr)
     })
 
     it('sets a factory function if value is an object', () => {
       const value = { test: 'demo' }
       utils.withDefault(obj)
-      obj.def(value)
-      expect(obj.default).toBeA(Function)
-      expect(obj.default()).toNotBe(value)
-      expect(obj.default()).toEqual(value)
+      const type = obj.def(value)
+      expect(type.default).toBeA(Function)
+      expect(type.default()).toNotBe(value)
+      expect(type.default()).toEqual(value)
+    })
+  })
+})
+
+describe('`withRequired()`', () => {
+  let obj
+
+  beforeEach(() => {
+    obj = utils.withRequired({ type: String })
+  })
+
+  it('`isRequired` should return a new required object', () => {
+    const type = obj.isRequired
+    expect(type).toNotBe(obj)
+    expect(type.required).toBe(true)
+    expect(obj).toExcludeKey('required')
+  })
+
+  it('`optional` should return a new object without the required flag', () => {
+    const required = obj.isRequired
+    const type = required.optional
+    expect(type).toNotBe(required)
+    expect(type).toExcludeKey('required')
+    expect(required.required).toBe(true)
+  })
+
+  it('`optional` should flag the new object as explicitly optional', () => {
+    const type = obj.optional
+    expect(type._vueTypes_optional).toBe(true)
+    expect(Object.keys(type)).toExclude('_vueTypes_optional')
+    expect(obj._vueTypes_optional).toBe(undefined)
+  })
+})
+
+describe('`isValidDate()`', () => {
+  it('should check for valid `Date` objects', () => {
+    expect(utils.isValidDate(new Date())).toBe(true)
+    expect(utils.isValidDate(new Date('x'))).toBe(false)
+    expect(utils.isValidDate(Date.now())).toBe(false)
+  })
+})
+
+describe('`isISODateString()`', () => {
+  it('should accept dates and date-times', () => {
+    ;[
+      '2020-02-29',
+      '2020-01-31T10:30',
+      '2020-01-31T10:30:59Z',
+      '2020-01-31T10:30:59.999-0500',
+    ].forEach((value) => {
+      expect(utils.isISODateString(value)).toBe(true)
+    })
+  })
+
+  it('should reject malformed and out of range values', () => {
+    ;[
+      '2021-02-29',
+      '2020-13-01',
+      '2020-01-31T24:00',
+      '2020-01-31T10:60',
+      '2020-1-31',
+      '2020-01-31 10:30',
+      20200131,
+    ].forEach((value) => {
+      expect(utils.isISODateString(value)).toBe(false)
+    })
+  })
+})
+
+describe('`isVNode()`', () => {
+  it('should check for VNode instances', () => {
+    const h = new Vue().$createElement
+    expect(utils.isVNode(h('div'))).toBe(true)
+    expect(utils.isVNode({ tag: 'div' })).toBe(false)
+    expect(utils.isVNode('div')).toBe(false)
+  })
+})
+
+describe('`isComponent()`', () => {
+  it('should check for component definitions', () => {
+    expect(utils.isComponent({ render: utils.noop })).toBe(true)
+    expect(utils.isComponent(Vue.extend({}))).toBe(true)
+    expect(utils.isComponent(() => Promise.resolve({}))).toBe(true)
+    expect(utils.isComponent({})).toBe(false)
+    expect(utils.isComponent('div')).toBe(false)
+  })
+})
+
+describe('`isDeepEqual()`', () => {
+  it('should compare primitive values strictly', () => {
+    expect(utils.isDeepEqual(1, 1)).toBe(true)
+    expect(utils.isDeepEqual(1, '1')).toBe(false)
+  })
+
+  it('should compare arrays and plain objects deeply', () => {
+    expect(utils.isDeepEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] })).toBe(
+      true,
+    )
+    expect(utils.isDeepEqual({ a: [1, { b: 2 }] }, { a: [1, { b: 3 }] })).toBe(
+      false,
+    )
+    expect(utils.isDeepEqual({ a: 1 }, { a: 1, b: undefined })).toBe(false)
+    expect(utils.isDeepEqual([1], { 0: 1 })).toBe(false)
+  })
+})
+
+describe('`formatValue()`', () => {
+  it('should quote primitive values', () => {
+    expect(utils.formatValue('a')).toBe('"a"')
+    expect(utils.formatValue(1)).toBe('"1"')
+  })
+
+  it('should serialize arrays and plain objects as JSON', () => {
+    expect(utils.formatValue({ w: 16, h: 9 })).toBe('{"w":16,"h":9}')
+    expect(utils.formatValue([1, 'a'])).toBe('[1,"a"]')
+  })
+})
+
+describe('`clone()`', () => {
+  it('should copy enumerable and non-enumerable properties', () => {
+    const obj = utils.toType('demo', { type: String, default: 'a' })
+    const type = utils.clone(obj)
+
+    expect(type).toNotBe(obj)
+    expect(type).toEqual(obj)
+    expect(type._vueTypes_name).toBe('demo')
+    expect(Object.keys(type)).toExclude('_vueTypes_name')
+    expect(type.def).toBe(obj.def)
+  })
+
+  it('should bind the validator to the new object', () => {
+    const obj = utils.toType('demo', {
+      validator() {
+        return this
+      },
     })
+    const type = utils.clone(obj)
+
+    expect(type.validator).toNotBe(obj.validator)
+    expect(type.validator()).toBe(type)
+    expect(obj.validator()).toBe(obj)
   })
 })
 
@@ -116,24 +258,60 @@ describe('`withValidate()`', () => {
     expect(obj.validate).toBeA(Function)
   })
 
-  it('sets the validator method', () => {
+  it('returns a new object with the validator method', () => {
     const fn = expect.createSpy()
-    obj.validate(fn)
-    expect(obj.validator).toBeA(Function)
+    const type = obj.validate(fn)
+    expect(type).toNotBe(obj)
+    expect(type.validator).toBeA(Function)
+    expect(obj.validator).toNotExist()
   })
 
   it('uses arguments passed to validator', () => {
     const fn = expect.createSpy()
-    obj.validate(fn)
-    obj.validator('demo')
+    obj.validate(fn).validator('demo')
     expect(fn).toHaveBeenCalledWith('demo')
   })
 
-  it('binds the provided function to the object', () => {
+  it('binds the provided function to the returned object', () => {
     const fn = expect.createSpy()
-    obj.validate(fn)
-    obj.validator()
-    expect(fn.calls[0].context).toBe(obj)
+    const type = obj.validate(fn)
+    type.validator()
+    expect(fn.calls[0].context).toBe(type)
+  })
+})
+
+describe('`withRefine()`', () => {
+  let obj
+
+  beforeEach(() => {
+    obj = utils.withRefine({
+      _vueTypes_name: 'demo',
+    })
+  })
+
+  it('adds a `refine` property', () => {
+    expect(obj.refine).toBeA(Function)
+  })
+
+  it('stacks the predicate on top of the current validator', () => {
+    const base = expect.createSpy().andReturn(true)
+    const fn = expect.createSpy().andReturn(false)
+    obj.validator = base
+    const type = obj.refine(fn)
+
+    expect(type).toNotBe(obj)
+    expect(type.validator('demo')).toBe(false)
+    expect(obj.validator('demo')).toBe(true)
+    expect(base).toHaveBeenCalledWith('demo')
+    expect(fn).toHaveBeenCalledWith('demo')
+  })
+
+  it('skips the predicate when the current validator fails', () => {
+    const fn = expect.createSpy().andReturn(true)
+    obj.validator = () => false
+
+    expect(obj.refine(fn).validator('demo')).toBe(false)
+    expect(fn).toNotHaveBeenCalled()
   })
 })
 
@@ -177,8 +355,7 @@ describe('`toType()`', () => {
 
     expect(obj.validate).toBeA(Function)
 
-    obj.validate(spy)
-    expect(obj.validator('string')).toBe(true)
+    expect(obj.validate(spy).validator('string')).toBe(true)
     expect(spy).toHaveBeenCalledWith('string')
   })
 
@@ -212,3 +389,155 @@ describe('`toType()`', () => {
     })
   })
 })
+
+describe('`formatPath()`', () => {
+  it('should return an empty string for the root path', () => {
+    expect(utils.formatPath([])).toBe('')
+  })
+
+  it('should format keys and indexes as a property accessor', () => {
+    expect(utils.formatPath(['users', 2, 'address', 'zip'])).toBe(
+      'users[2].address.zip',
+    )
+    expect(utils.formatPath([0, 'name'])).toBe('[0].name')
+  })
+})
+
+describe('`checkType()`', () => {
+  it('should collect errors without warning', () => {
+    const warnSpy = expect.spyOn(console, 'warn')
+
+    const result = utils.checkType({ type: String }, 0)
+    warnSpy.restore()
+
+    expect(warnSpy).toNotHaveBeenCalled()
+    expect(result.valid).toBe(false)
+    expect(result.errors[0]).toInclude({
+      message: 'value "0" should be of type "String"',
+      path: '',
+      name: null,
+      expected: 'String',
+      value: 0,
+    })
+  })
+
+  it('should prefix the path with keys added by `withPath()`', () => {
+    const type = {
+      type: Array,
+      validator: (values) =>
+        values.every((v, i) => utils.withPath(i, () => v === 1)),
+    }
+    const { errors } = utils.checkType(
+      {
+        type: Object,
+        validator: (value) =>
+          utils.withPath('list', () => utils.validateType(type, value.list)),
+      },
+      { list: [2] },
+    )
+
+    expect(errors.length).toBe(1)
+    expect(errors[0]).toInclude({
+      path: 'list',
+      message: 'custom validation failed',
+    })
+  })
+})
+
+describe('`getDefault()`', () => {
+  it('should return the `default` value', () => {
+    expect(utils.getDefault({ type: String, default: 'a' })).toBe('a')
+    expect(utils.getDefault({ type: String })).toBe(undefined)
+    expect(utils.getDefault(String)).toBe(undefined)
+  })
+
+  it('should call default factories', () => {
+    expect(utils.getDefault({ type: Array, default: () => [1] })).toEqual([1])
+  })
+
+  it('should NOT call the default value of function types', () => {
+    const fn = () => 'a'
+    expect(utils.getDefault({ type: Function, default: fn })).toBe(fn)
+  })
+})
+
+describe('`applyDefaults()`', () => {
+  it('should fill missing shape fields', () => {
+    const type = {
+      type: Object,
+      _vueTypes_fields: {
+        a: { type: Number, default: 1 },
+        b: { type: Number },
+      },
+    }
+    expect(utils.applyDefaults(type, { c: true })).toEqual({ a: 1, c: true })
+  })
+
+  it('should fill `arrayOf` items', () => {
+    const type = {
+      type: Array,
+      _vueTypes_items: {
+        type: Object,
+        _vueTypes_fields: { a: { type: Number, default: 1 } },
+      },
+    }
+    expect(utils.applyDefaults(type, [{}, { a: 2 }])).toEqual([
+      { a: 1 },
+      { a: 2 },
+    ])
+  })
+})
+
+describe('`getFieldsDefault()`', () => {
+  it('should build nested shapes without a default value', () => {
+    const type = {
+      type: Object,
+      _vueTypes_fields: {
+        a: { type: Number, default: 1 },
+        b: {
+          type: Object,
+          _vueTypes_fields: { c: { type: String, default: 'c' } },
+        },
+        d: {
+          type: Object,
+          default: () => ({ e: true }),
+          _vueTypes_fields: { c: { type: String, default: 'c' } },
+        },
+      },
+    }
+    expect(utils.getFieldsDefault(type)).toEqual({
+      a: 1,
+      b: { c: 'c' },
+      d: { c: 'c', e: true },
+    })
+  })
+})
+
+describe('`stripUnknown()`', () => {
+  it('should keep just the shape fields', () => {
+    const type = {
+      type: Object,
+      _vueTypes_fields: { a: { type: Number }, b: { type: Number } },
+    }
+    expect(utils.stripUnknown(type, { a: 1, c: true })).toEqual({ a: 1 })
+  })
+
+  it('should strip `arrayOf` items', () => {
+    const type = {
+      type: Array,
+      _vueTypes_items: { type: Object, _vueTypes_fields: { a: Number } },
+    }
+    expect(utils.stripUnknown(type, [{ a: 1, b: 2 }, {}])).toEqual([
+      { a: 1 },
+      {},
+    ])
+  })
+
+  it('should deep copy values without declared keys', () => {
+    const value = { a: [1], b: { c: true } }
+    const result = utils.stripUnknown(Object, value)
+    expect(result).toEqual(value)
+    expect(result.a).toNotBe(value.a)
+    expect(result.b).toNotBe(value.b)
+  })
+})
@@ -1,4 +1,4 @@
-// TypeScript Version: 2.8
+// TypeScript Version: 3.1
 
 import { VueTypes } from './vue-types'
 
@@ -9,11 +9,23 @@ export {
   Constructor,
   VueTypeDef,
   VueTypeValidableDef,
+  VueTypeString,
+  VueTypeNumber,
+  VueTypeInteger,
+  VueTypeNumberRefinements,
+  VueTypeDate,
+  VueTypeFunc,
   VueTypeInstanceOf,
   VueTypeShape,
   VueTypeLooseShape,
   ValidatorFunction,
   VueTypeCustom,
   VueTypeObjectOf,
+  VueTypeEnum,
+  OneOfOptions,
   VueTypesInterface,
+  ValidationErrorDetails,
+  ValidationResult,
+  VueTypesConfig,
+  VueTypesValidationError,
 } from './vue-types'
@@ -1,9 +1,13 @@
 import Vue from 'vue'
 import Component from 'vue-class-component'
+import { Component as VueComponent, AsyncComponent } from 'vue/types/options'
+import { ScopedSlot } from 'vue/types/vnode'
 import VueTypes, {
   VueTypesInterface,
   VueTypeValidableDef,
   VueTypeShape,
+  VueTypeLooseShape,
+  VueTypeDef,
 } from '../index'
 
 const noop = (): void => {}
@@ -16,6 +20,18 @@ const boolType = VueTypes.bool.def(true).isRequired
 
 const funcType = VueTypes.func.def(noop).isRequired
 
+interface Row {
+  id: number
+}
+
+const formatterType: VueTypeDef<
+  (value: string, row: Row) => string
+> = VueTypes.func.arity<(value: string, row: Row) => string>(2).sync.isRequired
+const loaderType: VueTypeDef<
+  (page: number) => Promise<any>
+> = VueTypes.func.minArity<(page: number) => void>(1).async
+const handlerType = VueTypes.func.minArity(1).def((value: string) => value)
+
 const arrayType = VueTypes.array.def([]).isRequired
 const arrayType2 = VueTypes.array.def(() => []).isRequired
 
@@ -24,9 +40,61 @@ const stringTypeValidate = VueTypes.string
   .def('John')
   .isRequired.validate((v: string): boolean => v === 'John')
 
+const stringTypeRefined = VueTypes.string
+  .minLength(2)
+  .maxLength(10)
+  .pattern(/^[a-z]+$/)
+  .nonEmpty.def('john').isRequired
+
+const emailType = VueTypes.string.email.isRequired
+const urlType = VueTypes.string.url.def('https://example.com')
+const uuidType = VueTypes.string.uuid.isRequired
+
 const numberType = VueTypes.number.def(0).isRequired
 const integerType = VueTypes.integer.def(0).isRequired
 
+const numberTypeRefined = VueTypes.number
+  .min(0)
+  .max(100)
+  .multipleOf(0.5)
+  .def(50).isRequired
+const percentType = VueTypes.number.range(0, 1).def(0.5)
+const ageType = VueTypes.integer.positive.max(120).isRequired
+const indexType = VueTypes.integer.nonNegative.def(0)
+const optionalIndexType = VueTypes.integer.isRequired.optional
+
+const nullableString: VueTypeDef<string | null> = VueTypes.string.minLength(2)
+  .nullable
+const nullableObject = VueTypes.object.nullable.def(null).isRequired
+const nullableShape: VueTypeShape<{
+  middleName: string | null
+}> = VueTypes.shape<{ middleName: string | null }>({
+  middleName: VueTypes.string.nullable.isRequired,
+})
+const refinedNullableString = VueTypes.string.nullable.minLength(2).isRequired
+const looseNullableShape = VueTypes.shape({ name: String }).nullable.loose
+
+const evenType = VueTypes.integer.refine((v) => v % 2 === 0).def(2)
+const tagsType = VueTypes.arrayOf(VueTypes.string).refine(
+  (tags) => tags.length > 0,
+  'at least one tag',
+).isRequired
+
+const dateType = VueTypes.date
+  .min('2020-01-01')
+  .max(new Date(2030, 0, 1))
+  .def(() => new Date()).isRequired
+const birthdayType: VueTypeDef<Date> = VueTypes.date.def(new Date(2000, 0, 1))
+const isoDateType: VueTypeDef<string> = VueTypes.isoDateString.def('2020-01-01')
+
+const ChildComponent = Vue.extend({ name: 'Child' })
+const componentType = VueTypes.component.def(() => ChildComponent)
+const asyncComponent: VueTypeDef<VueComponent | AsyncComponent> =
+  VueTypes.component.isRequired
+const vnodeType = VueTypes.vnode
+const listenerType = VueTypes.listener.def(() => noop)
+const slotType: VueTypeDef<ScopedSlot> = VueTypes.slot.isRequired
+
 const objectType = VueTypes.object.def({ demo: true }).isRequired
 const objectType2 = VueTypes.object.def(() => {}).isRequired
 
@@ -43,6 +111,39 @@ const oneOfStrict = VueTypes.oneOf<true | 'string'>([true, 'string']).def(
   'string',
 ).isRequired
 
+enum Direction {
+  Up,
+  Down,
+}
+
+enum Color {
+  Red = 'red',
+  Green = 'green',
+}
+
+const sizes = { small: 's', large: 'l' } as const
+
+const literalType: VueTypeDef<'primary'> = VueTypes.literal('primary')
+  .isRequired
+const literalNumber: VueTypeDef<42> = VueTypes.literal(42)
+const directionType: VueTypeDef<Direction> = VueTypes.enumOf(Direction).def(
+  Direction.Up,
+)
+const colorType: VueTypeDef<Color> = VueTypes.enumOf(Color).isRequired
+const colorKeysType: VueTypeDef<'Red' | 'Green'> = VueTypes.enumOf(Color).keys
+const sizeType: VueTypeDef<'s' | 'l'> = VueTypes.enumOf(sizes)
+const sizeKeysType: VueTypeDef<'small' | 'large'> = VueTypes.enumOf(sizes).keys
+
+const presetType = VueTypes.oneOf([{ w: 16, h: 9 }, { w: 4, h: 3 }], {
+  compare: 'deep',
+}).def(() => ({ w: 16, h: 9 }))
+const alignType = VueTypes.oneOf(['left', 'right'], {
+  compare: 'caseInsensitive',
+})
+const versionType = VueTypes.oneOf([1, 2], {
+  compare: (option, value) => option === Number(value),
+})
+
 class MyClass {
   public test = 'testProp'
 }
@@ -63,10 +164,64 @@ const oneOfTypeType = VueTypes.oneOfType([
 const ArrayOfType = VueTypes.arrayOf(VueTypes.string).def(['string', 'string'])
   .isRequired
 
+const mapType: VueTypeDef<Map<number, string>> = VueTypes.mapOf(
+  VueTypes.integer,
+  VueTypes.string,
+).isRequired
+const setType: VueTypeDef<Set<string>> = VueTypes.setOf(VueTypes.string).def(
+  () => new Set(['a']),
+)
+
+const tupleType = VueTypes.tuple([VueTypes.number, VueTypes.number]).def([
+  45.4,
+  9.2,
+]).isRequired
+
+const tupleTypeMixed = VueTypes.tuple([String, Number]).def(() => ['label', 1])
+
+const inferredTuple: VueTypeDef<[number, string]> = VueTypes.tuple([
+  VueTypes.number,
+  VueTypes.string,
+])
+
+const tupleTypeRest = VueTypes.tuple([VueTypes.string], VueTypes.number).def([
+  'label',
+  1,
+  2,
+])
+
+const mediaType: VueTypeDef<
+  { kind?: string; src?: string } | { kind?: string; url?: string }
+> = VueTypes.discriminated('kind', {
+  image: VueTypes.shape({ kind: String, src: VueTypes.string.isRequired }),
+  video: VueTypes.shape({ kind: String, url: VueTypes.string.isRequired }),
+}).isRequired
+
+const evenPositive: VueTypeDef<number> = VueTypes.allOf([
+  VueTypes.number.positive,
+  VueTypes.integer.refine((v) => v % 2 === 0),
+])
+
+const entityType: VueTypeShape<
+  { id: number } & { label?: string }
+> = VueTypes.allOf([
+  VueTypes.shape({ id: VueTypes.integer.isRequired }),
+  VueTypes.shape({ label: VueTypes.string }),
+]).loose
+
 const ObjectOfType = VueTypes.objectOf<string>(VueTypes.string).def({
   prop: 'test',
 }).isRequired
 
+const localesType: VueTypeDef<Record<'en' | 'it', string>> = VueTypes.record(
+  VueTypes.oneOf<'en' | 'it'>(['en', 'it']),
+  VueTypes.string,
+)
+const countersType: VueTypeDef<Record<string, number>> = VueTypes.record(
+  VueTypes.string.pattern(/^[a-z]+$/),
+  VueTypes.integer,
+).isRequired
+
 const shapeType = VueTypes.shape({
   name: String,
   surname: { type: String, default: 'Doe' },
@@ -82,7 +237,87 @@ const shapeTypeLoose = VueTypes.shape({
 
 shapeType.type = Object
 
+interface MenuItem {
+  label: string
+  children?: MenuItem[]
+}
+
+const menuItemType: VueTypeShape<MenuItem> = VueTypes.shape<MenuItem>({
+  label: VueTypes.string.isRequired,
+  children: VueTypes.arrayOf<MenuItem>(
+    VueTypes.lazy<MenuItem>(() => menuItemType),
+  ),
+})
+
+interface User {
+  id?: number
+  name?: string
+  email?: string
+}
+
+const userShape: VueTypeShape<User> = VueTypes.shape({
+  id: VueTypes.integer.isRequired,
+  name: VueTypes.string.isRequired,
+  email: VueTypes.string,
+})
+const adminShape: VueTypeShape<User & { role?: string }> = userShape.extend({
+  role: VueTypes.oneOf(['admin']),
+})
+const userIdShape: VueTypeShape<{ id?: number }> = userShape.pick(['id'])
+const anonymousShape: VueTypeShape<{
+  email?: string
+}> = userShape.omit(['id', 'name'])
+const userDraftShape: VueTypeShape<Partial<User>> = userShape.partial
+const fullUserShape: VueTypeLooseShape<Required<User>> =
+  userShape.loose.allRequired
+
+const exactUserShape: VueTypeShape<User> = userShape.exact
+const exactLooseShape = VueTypes.shape({ nickname: VueTypes.string.nullable })
+  .loose.exact
+
+const settingsShape = VueTypes.shape({
+  theme: VueTypes.oneOf(['light', 'dark']).def('light'),
+  compact: VueTypes.bool.def(false),
+}).applyDefaults
+const addressShape = VueTypes.shape({
+  city: VueTypes.string.def('Rome'),
+  zip: VueTypes.string,
+}).defFromFields.isRequired
+
+const settings: {
+  theme?: string
+  compact?: boolean
+} = VueTypes.utils.withDefaults({}, settingsShape)
+
+const strippedUser: User = VueTypes.utils.strip(
+  { id: 1, name: 'John', token: 'secret' },
+  userShape,
+)
+
+const checkResult = VueTypes.utils.check({ name: 'John' }, shapeType)
+if (!checkResult.valid) {
+  checkResult.errors.map(({ path, expected }) => `${path}: ${expected}`)
+}
+
+VueTypes.config.onWarn = (message, { path, name, value }) => {
+  console.log(message, path, name, value)
+}
+VueTypes.config.onWarn = null
+
+VueTypes.config.strict = true
+try {
+  VueTypes.utils.validate(1.5, VueTypes.integer)
+} catch (e) {
+  if (e instanceof VueTypes.ValidationError) {
+    console.log(e.path, e.expected, e.typeName, e.value)
+  }
+}
+VueTypes.config.strict = false
+
+VueTypes.config.rejectNull = true
+
 VueTypes.sensibleDefaults = {}
+VueTypes.sensibleDefaults = { date: () => new Date(), isoDateString: '' }
 VueTypes.sensibleDefaults = false
 VueTypes.sensibleDefaults = true
 
@@ -118,6 +353,11 @@ const BaseComponent = Vue.extend({
     name: stringType,
     height: numberType,
     age: integerType,
+    birthday: dateType,
+    is: componentType,
+    icon: vnodeType,
+    onChange: listenerType,
+    renderItem: slotType,
     obj: objectType,
     obj2: objectType2,
     uniqueSym: symbolType,
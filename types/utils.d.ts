@@ -1,6 +1,11 @@
-// TypeScript Version: 2.8
+// TypeScript Version: 3.1
 import { Prop, PropOptions } from 'vue/types/options'
-import { Constructor, VueTypeDef } from './index'
+import {
+  Constructor,
+  VueTypeDef,
+  VueTypeShape,
+  ValidationResult,
+} from './index'
 
 export function hasOwn(v: string | PropertyKey): boolean
 
@@ -37,8 +42,33 @@ export function isArray(arg: any): arg is any[]
  *
  */
 export function isFunction(value: any): value is () => any
+/**
+ * Checks if a value is a valid `Date` object
+ *
+ */
+export function isValidDate(value: any): value is Date
+/**
+ * Checks if a value is an ISO 8601 date string
+ *
+ */
+export function isISODateString(value: any): value is string
+/**
+ * Checks if two values are deeply equal. Recurses through arrays and plain objects
+ *
+ */
+export function isDeepEqual(a: any, b: any): boolean
+/**
+ * Returns a readable representation of a value to be used in warnings
+ *
+ */
+export function formatValue(value: any): string
 export function isVueType(value: any): value is VueTypeDef
 export function isPropOptions(value: any): value is PropOptions<object>
+/**
+ * Clones a prop type object copying every own property, modifiers included
+ *
+ */
+export function clone<T extends object>(type: T): T
 /**
  * Adds a `def` method to the object returning a new object with passed in argument as `default` property
  *
@@ -54,6 +84,44 @@ export function withRequired(type: PropOptions): undefined
  *
  */
 export function toType(name: string, obj: PropOptions): VueTypeDef
+/**
+ * Returns the type wrapped by a `VueTypes.lazy()` type. Other types are returned as they are
+ *
+ */
+export function resolveLazy<T>(type: T): any
+/**
+ * Checks if a prop type is required. Lazy types are resolved
+ *
+ */
+export function isRequiredType(type: any): boolean
+/**
+ * Returns the default value of a prop type, calling default factories like Vue does
+ *
+ */
+export function getDefault(
+  type: VueTypeDef | PropOptions | (() => any) | (new (...args: any[]) => any),
+): any
+/**
+ * Returns a copy of a value with missing values replaced by the type's defaults
+ *
+ */
+export function applyDefaults<T>(
+  type: VueTypeDef<T> | PropOptions<T>,
+  value: any,
+): T
+/**
+ * Builds a shape value from the default values of its fields
+ *
+ */
+export function getFieldsDefault<T>(type: VueTypeShape<T>): Partial<T>
+/**
+ * Returns a deep copy of a value keeping just the keys declared by the type
+ *
+ */
+export function stripUnknown<T>(
+  type: VueTypeDef<T> | PropOptions<T>,
+  value: any,
+): T
 /**
  * Validates a given value against a prop type object
  *
@@ -69,4 +137,28 @@ export function validateType(
   silent?: boolean,
 ): boolean
 
+/**
+ * Validates a given value against a prop type object collecting every validation error
+ *
+ */
+export function checkType(
+  type:
+    | VueTypeDef
+    | PropOptions
+    | (() => any)
+    | (new (...args: any[]) => any)
+    | Prop<any>[],
+  value: any,
+): ValidationResult
+/**
+ * Formats a validation path as a property accessor string (ie: `users[2].address.zip`)
+ *
+ */
+export function formatPath(path: (string | number)[]): string
+/**
+ * Executes a function while appending a key to the current validation path
+ *
+ */
+export function withPath<T>(key: string | number, fn: () => T): T
+
 export function warn(...msg: any[]): undefined
@@ -1,5 +1,12 @@
-// TypeScript Version: 2.8
-import { Prop, PropOptions, PropType } from 'vue/types/options'
+// TypeScript Version: 3.1
+import {
+  Prop,
+  PropOptions,
+  PropType,
+  Component,
+  AsyncComponent,
+} from 'vue/types/options'
+import { VNode, ScopedSlot } from 'vue/types/vnode'
 
 export type Constructor = new (...args: any[]) => any
 
@@ -17,6 +24,9 @@ export interface VueTypeDef<T = any, D = defaultType<T>>
   readonly _vueTypes_name: string
   readonly def: (def: D) => this & { default: D }
   readonly isRequired: this & { required: true }
+  readonly optional: this
+  readonly nullable: this & VueTypeDef<T | null>
+  refine(fn: ValidatorFunction<T>, message?: string): this
 }
 
 export interface VueTypeValidableDef<T = any> extends VueTypeDef<T> {
@@ -25,6 +35,48 @@ export interface VueTypeValidableDef<T = any> extends VueTypeDef<T> {
   ) => this & { validator: ValidatorFunction<T> }
 }
 
+export interface VueTypeString extends VueTypeValidableDef<string> {
+  minLength(min: number): this
+  maxLength(max: number): this
+  pattern(regexp: RegExp): this
+  readonly nonEmpty: this
+  readonly email: this
+  readonly url: this
+  readonly uuid: this
+}
+
+export interface VueTypeNumberRefinements {
+  min(min: number): this
+  max(max: number): this
+  range(min: number, max: number): this
+  multipleOf(step: number): this
+  readonly positive: this
+  readonly nonNegative: this
+}
+
+export interface VueTypeNumber
+  extends VueTypeValidableDef<number>,
+    VueTypeNumberRefinements {}
+
+export interface VueTypeInteger
+  extends VueTypeDef<number>,
+    VueTypeNumberRefinements {}
+
+export type AnyFunction = (...args: any[]) => any
+
+export interface VueTypeFunc<F extends AnyFunction = AnyFunction>
+  extends VueTypeValidableDef<F> {
+  arity<S extends AnyFunction = F>(length: number): VueTypeFunc<S>
+  minArity<S extends AnyFunction = F>(length: number): VueTypeFunc<S>
+  readonly async: VueTypeFunc<(...args: Parameters<F>) => Promise<any>>
+  readonly sync: this
+}
+
+export interface VueTypeDate extends VueTypeDef<Date, DefaultFactory<Date>> {
+  min(min: Date | string | number): this
+  max(max: Date | string | number): this
+}
+
 export type VueProp<T, D = defaultType<T>> =
   | VueTypeValidableDef<T>
   | VueTypeDef<T, D>
@@ -37,7 +89,18 @@ export interface VueTypeInstanceOf<T extends Constructor>
 
 export interface VueTypeShape<T, D = DefaultFactory<Partial<T>>>
   extends VueTypeDef<T, D> {
+  readonly _vueTypes_fields: ShapeTypes
   readonly loose: VueTypeLooseShape<T>
+  readonly exact: this
+  extend<P extends ShapeTypes>(
+    fields: P,
+  ): VueTypeShape<Pick<T, Exclude<keyof T, keyof P>> & InferShape<P>>
+  pick<K extends keyof T>(keys: K[]): VueTypeShape<Pick<T, K>>
+  omit<K extends keyof T>(keys: K[]): VueTypeShape<Pick<T, Exclude<keyof T, K>>>
+  readonly partial: VueTypeShape<Partial<T>>
+  readonly allRequired: VueTypeShape<Required<T>>
+  readonly applyDefaults: this
+  readonly defFromFields: this
 }
 
 export interface VueTypeLooseShape<
@@ -45,6 +108,19 @@ export interface VueTypeLooseShape<
   D = DefaultFactory<Partial<T & { [key: string]: any }>>
 > extends VueTypeShape<T, D> {
   readonly _vueTypes_isLoose: true
+  extend<P extends ShapeTypes>(
+    fields: P,
+  ): VueTypeLooseShape<Pick<T, Exclude<keyof T, keyof P>> & InferShape<P>>
+  pick<K extends keyof T>(keys: K[]): VueTypeLooseShape<Pick<T, K>>
+  omit<K extends keyof T>(
+    keys: K[],
+  ): VueTypeLooseShape<Pick<T, Exclude<keyof T, K>>>
+  readonly partial: VueTypeLooseShape<Partial<T>>
+  readonly allRequired: VueTypeLooseShape<Required<T>>
+}
+
+export interface VueTypeEnum<E> extends VueTypeDef<E[keyof E]> {
+  readonly keys: VueTypeDef<Extract<keyof E, string>>
 }
 
 export interface VueTypeCustom<T, F extends ValidatorFunction<T>>
@@ -54,9 +130,84 @@ export interface VueTypeCustom<T, F extends ValidatorFunction<T>>
 
 export type VueTypeObjectOf<T> = VueTypeDef<Record<string, T>>
 
+export type InferType<P> = P extends VueTypeDef<infer T, any>
+  ? T
+  : P extends PropOptions<infer T>
+  ? T
+  : P extends Prop<infer T>
+  ? T
+  : any
+
+export type TupleTypes = (Prop<any> | VueProp<any, any>)[] | []
+
+export type InferTuple<P> = { [K in keyof P]: InferType<P[K]> }
+
+export type UnionToIntersection<U> = (U extends any
+  ? (k: U) => void
+  : never) extends (k: infer I) => void
+  ? I
+  : never
+
+export type InferIntersection<P> = P extends any[]
+  ? UnionToIntersection<InferType<P[number]>>
+  : never
+
+export interface ShapeTypes {
+  [key: string]: Prop<any> | VueProp<any, any>
+}
+
+export type InferShape<P> = { [K in keyof P]?: InferType<P[K]> }
+
+export interface OneOfOptions<T = any> {
+  compare?: 'deep' | 'caseInsensitive' | ((option: T, value: any) => boolean)
+}
+
+export interface ValidationErrorDetails {
+  message: string
+  path: string
+  name: string | null
+  expected: string | null
+  value: any
+}
+
+export interface ValidationResult {
+  valid: boolean
+  errors: ValidationErrorDetails[]
+}
+
+export interface VueTypesConfig {
+  onWarn: ((message: string, details: ValidationErrorDetails) => void) | null
+  strict: boolean
+  rejectNull: boolean
+}
+
+export interface VueTypesValidationError extends Error {
+  path: string
+  typeName: string | null
+  expected: string | null
+  value: any
+}
+
+export interface VueTypesValidationErrorConstructor {
+  new (details: ValidationErrorDetails): VueTypesValidationError
+  readonly prototype: VueTypesValidationError
+}
+
 export interface VueTypesUtils {
   validate(value: any, type: VueProp<any> | Prop<any> | Prop<any>[]): boolean
+  check(
+    value: any,
+    type: VueProp<any> | Prop<any> | Prop<any>[],
+  ): ValidationResult
   toType(name: string, obj: PropOptions): VueTypeDef
+  withDefaults<P extends VueProp<any, any> | Prop<any>>(
+    value: any,
+    type: P,
+  ): InferType<P>
+  strip<P extends VueProp<any, any> | Prop<any>>(
+    value: any,
+    type: P,
+  ): InferType<P>
 }
 
 export interface TypeDefaults {
@@ -67,6 +218,8 @@ export interface TypeDefaults {
   array?: any[]
   object?: () => Record<string, any>
   integer?: number
+  date?: Date | (() => Date)
+  isoDateString?: string
 }
 
 export interface ExtendProps<T = any> {
@@ -81,22 +234,35 @@ export interface ExtendProps<T = any> {
 
 export interface VueTypesInterface {
   sensibleDefaults: TypeDefaults | boolean
+  config: VueTypesConfig
+  ValidationError: VueTypesValidationErrorConstructor
   extend<T extends VueTypesInterface>(props: ExtendProps | ExtendProps[]): T
   utils: VueTypesUtils
   readonly any: VueTypeValidableDef
   readonly bool: VueTypeValidableDef<boolean>
-  readonly func: VueTypeValidableDef<() => any>
+  readonly func: VueTypeFunc
   readonly array: VueTypeValidableDef<any[]>
-  readonly string: VueTypeValidableDef<string>
-  readonly number: VueTypeValidableDef<number>
+  readonly string: VueTypeString
+  readonly number: VueTypeNumber
   readonly object: VueTypeValidableDef<{ [key: string]: any }>
-  readonly integer: VueTypeDef<number>
+  readonly integer: VueTypeInteger
   readonly symbol: VueTypeValidableDef<symbol>
+  readonly date: VueTypeDate
+  readonly isoDateString: VueTypeDef<string>
+  readonly component: VueTypeDef<Component | AsyncComponent>
+  readonly vnode: VueTypeDef<VNode | VNode[]>
+  readonly listener: VueTypeDef<AnyFunction | AnyFunction[]>
+  readonly slot: VueTypeDef<ScopedSlot>
   custom<T = any>(
     fn: ValidatorFunction<T>,
     warnMsg?: string,
   ): VueTypeCustom<T, ValidatorFunction<T>>
-  oneOf<T = any>(arr: T[]): VueTypeDef<T>
+  oneOf<T = any>(arr: T[], options?: OneOfOptions<T>): VueTypeDef<T>
+  literal<T extends string | number | boolean | null | undefined>(
+    value: T,
+  ): VueTypeDef<T>
+  enumOf<E extends object>(obj: E): VueTypeEnum<E>
+  lazy<T = any>(factory: () => Prop<T> | VueProp<T, any>): VueTypeDef<T>
   instanceOf<C extends Constructor>(
     instanceConstructor: C,
   ): VueTypeInstanceOf<C>
@@ -104,10 +270,33 @@ export interface VueTypesInterface {
   arrayOf<V extends any, D = defaultType<V>>(
     type: VueTypeValidableDef<V> | VueTypeDef<V, D> | Prop<V>,
   ): VueTypeDef<V[]>
+  mapOf<K, V>(
+    keyType: Prop<K> | VueProp<K, any>,
+    valueType: Prop<V> | VueProp<V, any>,
+  ): VueTypeDef<Map<K, V>>
+  setOf<T>(type: Prop<T> | VueProp<T, any>): VueTypeDef<Set<T>>
+  tuple<P extends TupleTypes>(types: P): VueTypeDef<InferTuple<P>>
+  tuple<P extends TupleTypes, R>(
+    types: P,
+    rest: Prop<R> | VueProp<R, any>,
+  ): VueTypeDef<(InferTuple<P>[number] | R)[]>
+  allOf<P extends Pick<VueTypeShape<any>, '_vueTypes_fields'>[] | []>(
+    types: P,
+  ): VueTypeShape<InferIntersection<P>>
+  allOf<P extends TupleTypes>(types: P): VueTypeDef<InferIntersection<P>>
+  discriminated<P extends ShapeTypes>(
+    key: string,
+    types: P,
+  ): VueTypeDef<InferType<P[keyof P]>>
+  record<K extends string, V>(
+    keyType: Prop<K> | VueProp<K, any>,
+    valueType: Prop<V> | VueProp<V, any>,
+  ): VueTypeDef<Record<K, V>>
   objectOf<T extends any>(type: Prop<T> | VueProp<T>): VueTypeObjectOf<T>
   shape<T>(
     obj: { [K in keyof T]?: Prop<T[K]> | VueProp<T[K], any> },
   ): VueTypeShape<T>
+  shape<P extends ShapeTypes>(obj: P): VueTypeShape<InferShape<P>>
 }
 
 export const VueTypes: VueTypesInterface